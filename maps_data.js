@@ -23,6 +23,7 @@ function normalizeMapTemplate(raw, fallbackId) {
     mobSpawns: Array.isArray(raw?.mobSpawns)
       ? raw.mobSpawns
       : (Array.isArray(raw?.mobs) ? raw.mobs : []),
+    bossRooms: Array.isArray(raw?.bossRooms) ? raw.bossRooms : [],
   };
 }
 
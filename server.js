@@ -17,18 +17,20 @@ const { Pool } = pg;
 let pool = null;
 let postgresHealthy = false;
 const localPlayerSaves = new Map();
+const localAccounts = new Map(); // lower(username) -> { username, pw_salt, pw_hash, created_at }
 
 function cloneSavePayloadFromPlayer(p) {
   if (!p?.name) return null;
   return {
     name: p.name,
+    account: p.account || null,
     level: p.level,
     xp: p.xp,
     xp_next: p.xpNext,
     atk: p.atk,
     speed: p.speed,
     hp: p.hp,
-    max_hp: p.maxHp,
+    max_hp: p.baseMaxHp ?? p.maxHp,
     map_id: p.mapId,
     x: p.x,
     y: p.y,
@@ -38,6 +40,11 @@ function cloneSavePayloadFromPlayer(p) {
     quests: JSON.parse(JSON.stringify(p.quests || {})),
     hotbar: JSON.parse(JSON.stringify(Array.isArray(p.hotbar) ? p.hotbar : new Array(6).fill(null))),
     monster_book: JSON.parse(JSON.stringify(p.monsterBook || {})),
+    stats: { ...sanitizeStats(p.stats) },
+    skill_levels: { ...sanitizeSkillRanks(p.skillRanks) },
+    save_point: p.save ? { ...p.save } : null,
+    dialogue_grants: { ...(p.dialogueGrants || {}) },
+    stats_migrated: true,
     updated_at: new Date().toISOString(),
   };
 }
@@ -99,6 +106,11 @@ async function ensurePostgresSchema() {
         quests jsonb not null default '{}'::jsonb,
         hotbar jsonb not null default '[]'::jsonb,
         monster_book jsonb not null default '{}'::jsonb,
+        stats jsonb not null default '{}'::jsonb,
+        skill_levels jsonb not null default '{}'::jsonb,
+        save_point jsonb,
+        dialogue_grants jsonb not null default '{}'::jsonb,
+        stats_migrated boolean not null default false,
         updated_at timestamptz not null default now()
       );
     `);
@@ -109,6 +121,25 @@ async function ensurePostgresSchema() {
     await pool.query(`alter table players add column if not exists xp_next int not null default 0;`);
     await pool.query(`create index if not exists players_updated_at_idx on players(updated_at);`);
     await pool.query(`alter table players add column if not exists monster_book jsonb not null default '{}'::jsonb;`);
+    await pool.query(`alter table players add column if not exists stats jsonb not null default '{}'::jsonb;`);
+    await pool.query(`alter table players add column if not exists skill_levels jsonb not null default '{}'::jsonb;`);
+    await pool.query(`alter table players add column if not exists save_point jsonb;`);
+    await pool.query(`alter table players add column if not exists dialogue_grants jsonb not null default '{}'::jsonb;`);
+    // false = saved before stat points, atk/max_hp still hold the old fixed level-up gains.
+    await pool.query(`alter table players add column if not exists stats_migrated boolean not null default false;`);
+
+    // Accounts own characters (players.account). Characters saved before accounts existed have account = null.
+    await pool.query(`
+      create table if not exists accounts (
+        username text primary key,
+        pw_salt text not null,
+        pw_hash text not null,
+        created_at timestamptz not null default now()
+      );
+    `);
+    await pool.query(`create unique index if not exists accounts_username_lower_idx on accounts(lower(username));`);
+    await pool.query(`alter table players add column if not exists account text;`);
+    await pool.query(`create index if not exists players_account_idx on players(lower(account));`);
 
     postgresHealthy = true;
     console.log("✅ Postgres schema ensured.");
@@ -138,7 +169,9 @@ async function dbLoadPlayerByName(name) {
 }
 
 async function dbSavePlayer(p) {
-  if (!p?.name) return;
+  // Only characters that were actually loaded/created through an account get persisted
+  // (a socket sitting on the title screen is still the placeholder "Player").
+  if (!p?.name || !p.account || !p.charLoaded) return;
 
   const fallbackKey = p.name.toString().trim().toLowerCase();
   if (fallbackKey) localPlayerSaves.set(fallbackKey, cloneSavePayloadFromPlayer(p));
@@ -149,9 +182,9 @@ async function dbSavePlayer(p) {
     await pool.query(
       `
       insert into players
-        (name, level, xp, xp_next, atk, speed, hp, max_hp, map_id, x, y, gold, equipment, inventory, quests, hotbar, monster_book, updated_at)
+        (name, level, xp, xp_next, atk, speed, hp, max_hp, map_id, x, y, gold, equipment, inventory, quests, hotbar, monster_book, stats, skill_levels, account, save_point, dialogue_grants, stats_migrated, updated_at)
       values
-        ($1,   $2,    $3, $4,     $5,  $6,    $7, $8,     $9,    $10,$11,$12, $13::jsonb, $14::jsonb, $15::jsonb, $16::jsonb, $17::jsonb, now())
+        ($1,   $2,    $3, $4,     $5,  $6,    $7, $8,     $9,    $10,$11,$12, $13::jsonb, $14::jsonb, $15::jsonb, $16::jsonb, $17::jsonb, $18::jsonb, $19::jsonb, $20, $21::jsonb, $22::jsonb, true, now())
       on conflict (name) do update set
         level=excluded.level,
         xp=excluded.xp,
@@ -169,6 +202,12 @@ async function dbSavePlayer(p) {
         quests=excluded.quests,
         hotbar=excluded.hotbar,
         monster_book=excluded.monster_book,
+        stats=excluded.stats,
+        skill_levels=excluded.skill_levels,
+        account=excluded.account,
+        save_point=excluded.save_point,
+        dialogue_grants=excluded.dialogue_grants,
+        stats_migrated=true,
         updated_at=now()
       `,
       [
@@ -179,7 +218,7 @@ async function dbSavePlayer(p) {
         p.atk ?? 10,
         p.speed ?? 100,
         p.hp ?? 100,
-        p.maxHp ?? 100,
+        p.baseMaxHp ?? p.maxHp ?? 100,
         p.mapId ?? "C",
         Number.isFinite(p.x) ? p.x : 0,
         Number.isFinite(p.y) ? p.y : 0,
@@ -189,6 +228,11 @@ async function dbSavePlayer(p) {
         JSON.stringify(p.quests || {}),
         JSON.stringify(p.hotbar || new Array(6).fill(null)),
         JSON.stringify(p.monsterBook || {}),
+        JSON.stringify(sanitizeStats(p.stats)),
+        JSON.stringify(sanitizeSkillRanks(p.skillRanks)),
+        p.account,
+        p.save ? JSON.stringify(p.save) : null,
+        JSON.stringify(p.dialogueGrants || {}),
       ]
     );
   } catch (err) {
@@ -198,6 +242,225 @@ async function dbSavePlayer(p) {
 }
 
 
+/* ======================
+   ACCOUNTS
+   - Passwords are stored as scrypt(password, random salt); never in plain text.
+   - Same fallback rule as player saves: local memory first, Postgres when healthy.
+====================== */
+const ACCOUNT_NAME_RE = /^[A-Za-z0-9]{3,16}$/;
+const ACCOUNT_PASSWORD_MIN = 6;
+const ACCOUNT_PASSWORD_MAX = 128;
+const ACCOUNT_MAX_CHARACTERS = 3;
+const PASSWORD_SALT_BYTES = 16;
+const PASSWORD_KEY_LEN = 64;
+const LOGIN_MAX_FAILS = 5;            // failed logins per account before a short lockout
+const LOGIN_LOCKOUT_MS = 60 * 1000;
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+const loginFailures = new Map(); // lower(username) -> { count, lockedUntilMs }
+const sessions = new Map();      // token -> { account, expiresAtMs }
+
+function accountKey(username) {
+  return (username ?? "").toString().trim().toLowerCase();
+}
+
+function scryptAsync(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, PASSWORD_KEY_LEN, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(PASSWORD_SALT_BYTES).toString("hex");
+  const key = await scryptAsync(password, salt);
+  return { salt, hash: key.toString("hex") };
+}
+
+async function verifyPassword(password, salt, hashHex) {
+  if (!salt || !hashHex) return false;
+  const expected = Buffer.from(hashHex, "hex");
+  const key = await scryptAsync(password, salt);
+  return expected.length === key.length && crypto.timingSafeEqual(expected, key);
+}
+
+async function dbLoadAccount(username) {
+  const key = accountKey(username);
+  if (!key) return null;
+  if (!pool || !postgresHealthy) return localAccounts.get(key) || null;
+  try {
+    const { rows } = await pool.query("select * from accounts where lower(username) = lower($1) limit 1", [key]);
+    return rows[0] || localAccounts.get(key) || null;
+  } catch (err) {
+    console.error("⚠️ Postgres account load failed; falling back to local memory:", err?.message || err);
+    postgresHealthy = false;
+    return localAccounts.get(key) || null;
+  }
+}
+
+// Returns false if the username is already taken.
+async function dbCreateAccount(username, pwSalt, pwHash) {
+  const key = accountKey(username);
+  if (!key || (await dbLoadAccount(key))) return false;
+
+  const row = { username: username.trim(), pw_salt: pwSalt, pw_hash: pwHash, created_at: new Date().toISOString() };
+  localAccounts.set(key, row);
+
+  if (!pool || !postgresHealthy) return true;
+  try {
+    const res = await pool.query(
+      "insert into accounts (username, pw_salt, pw_hash) values ($1, $2, $3) on conflict do nothing",
+      [row.username, pwSalt, pwHash]
+    );
+    if (res.rowCount === 0) {
+      localAccounts.delete(key);
+      return false;
+    }
+  } catch (err) {
+    console.error("⚠️ Postgres account create failed; continuing with local memory:", err?.message || err);
+    postgresHealthy = false;
+  }
+  return true;
+}
+
+function characterSummaryFromRow(row) {
+  return { name: row.name, level: row.level ?? 1, mapId: row.map_id ?? "C" };
+}
+
+async function dbListCharactersForAccount(username) {
+  const key = accountKey(username);
+  const byName = new Map();
+  for (const row of localPlayerSaves.values()) {
+    if (row && accountKey(row.account) === key) byName.set(row.name.toLowerCase(), row);
+  }
+  if (pool && postgresHealthy) {
+    try {
+      const { rows } = await pool.query(
+        "select name, level, map_id, account, updated_at from players where lower(account) = lower($1)",
+        [key]
+      );
+      for (const row of rows) {
+        const local = byName.get(row.name.toLowerCase());
+        // Prefer whichever copy is newer (local memory wins while Postgres is catching up).
+        if (!local || new Date(row.updated_at) > new Date(local.updated_at)) byName.set(row.name.toLowerCase(), row);
+      }
+    } catch (err) {
+      console.error("⚠️ Postgres character list failed; using local memory:", err?.message || err);
+      postgresHealthy = false;
+    }
+  }
+  return [...byName.values()]
+    .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at))
+    .map(characterSummaryFromRow);
+}
+
+const pendingNameClaims = new Set(); // lower(name) of creates that are still being written
+
+// Reserves a brand-new character name for `account`; false if it is already taken. Racing creates
+// can't both win: memory is checked and reserved synchronously, Postgres by a conflict-free insert.
+// The caller releases the reservation (releaseCharacterNameClaim) once the full save is written.
+async function dbClaimCharacterName(name, account) {
+  const key = (name || "").toString().trim().toLowerCase();
+  if (!key || localPlayerSaves.has(key) || pendingNameClaims.has(key)) return false;
+  pendingNameClaims.add(key);
+
+  if (!pool || !postgresHealthy) return true;
+  try {
+    const res = await pool.query(
+      `insert into players (name, account)
+       select $1, $2 where not exists (select 1 from players where lower(name) = lower($1))
+       on conflict do nothing`,
+      [name, account]
+    );
+    if (res.rowCount === 0) {
+      pendingNameClaims.delete(key);
+      return false;
+    }
+  } catch (err) {
+    console.error("⚠️ Postgres name claim failed; continuing with local memory:", err?.message || err);
+    postgresHealthy = false;
+  }
+  return true;
+}
+
+function releaseCharacterNameClaim(name) {
+  pendingNameClaims.delete((name || "").toString().trim().toLowerCase());
+}
+
+// Characters saved before accounts existed have no owner and can't be claimed from the game (anyone
+// could type the name). An admin links them once at startup, e.g.
+// LEGACY_CHARACTER_OWNERS="Alice=alice,Bobby=bob". Rows that already have an owner are left alone.
+async function linkLegacyCharacters(spec = process.env.LEGACY_CHARACTER_OWNERS) {
+  for (const pair of (spec || "").split(",")) {
+    const [name, account] = pair.split("=").map((v) => (v || "").trim());
+    if (!name || !ACCOUNT_NAME_RE.test(account)) continue;
+
+    let linked = false;
+    const local = localPlayerSaves.get(name.toLowerCase());
+    if (local && !local.account) {
+      local.account = account;
+      linked = true;
+    }
+    if (pool && postgresHealthy) {
+      try {
+        const res = await pool.query(
+          "update players set account = $2 where lower(name) = lower($1) and account is null",
+          [name, account]
+        );
+        linked ||= res.rowCount > 0;
+      } catch (err) {
+        console.error("⚠️ Postgres legacy link failed:", err?.message || err);
+        postgresHealthy = false;
+      }
+    }
+    console.log(linked
+      ? `🔗 Linked legacy character ${name} to account ${account}`
+      : `⚠️ Legacy character ${name} not linked (missing or already owned)`);
+  }
+}
+
+function loginLockoutMs(username, nowMs = Date.now()) {
+  const rec = loginFailures.get(accountKey(username));
+  return rec && rec.lockedUntilMs > nowMs ? rec.lockedUntilMs - nowMs : 0;
+}
+
+function noteLoginFailure(username, nowMs = Date.now()) {
+  const key = accountKey(username);
+  const rec = loginFailures.get(key) || { count: 0, lockedUntilMs: 0 };
+  rec.count += 1;
+  if (rec.count >= LOGIN_MAX_FAILS) {
+    rec.count = 0;
+    rec.lockedUntilMs = nowMs + LOGIN_LOCKOUT_MS;
+  }
+  loginFailures.set(key, rec);
+}
+
+function issueSessionToken(account) {
+  const token = crypto.randomBytes(24).toString("base64url");
+  sessions.set(token, { account, expiresAtMs: Date.now() + SESSION_TTL_MS });
+  return token;
+}
+
+// Returns the account name for a live token (and slides its expiry), or null.
+function resolveSessionToken(token) {
+  const t = (token ?? "").toString();
+  const s = sessions.get(t);
+  if (!s) return null;
+  const nowMs = Date.now();
+  if (s.expiresAtMs <= nowMs) {
+    sessions.delete(t);
+    return null;
+  }
+  s.expiresAtMs = nowMs + SESSION_TTL_MS;
+  return s.account;
+}
+
+function pruneExpiredSessions(nowMs = Date.now()) {
+  for (const [token, s] of sessions) {
+    if (s.expiresAtMs <= nowMs) sessions.delete(token);
+  }
+}
+
+
 function applyRowToPlayer(p, row) {
   // Keep runtime-only fields (id, inputs, timers) but load the persistent ones
   if (!row) return;
@@ -208,7 +471,16 @@ function applyRowToPlayer(p, row) {
   p.atk = row.atk ?? p.atk;
   p.speed = row.speed ?? p.speed ?? 100;
   p.hp = row.hp ?? p.hp;
-  p.maxHp = row.max_hp ?? p.maxHp;
+  // max_hp is stored without equipment bonuses; recomputePlayerBonuses() adds them back.
+  p.baseMaxHp = row.max_hp ?? p.baseMaxHp ?? p.maxHp;
+  // Rows saved before stat points still carry the old fixed level-up gains; strip them once
+  // (the next save marks the row migrated) so growth only comes from allocated points.
+  if (!row.stats_migrated) {
+    const levelsGained = Math.max(0, (p.level ?? 1) - 1);
+    p.atk = Math.max(PLAYER_BASE_ATK, p.atk - levelsGained * LEGACY_LEVEL_ATK_GAIN);
+    p.baseMaxHp = Math.max(PLAYER_BASE_MAX_HP, p.baseMaxHp - levelsGained * LEGACY_LEVEL_HP_GAIN);
+  }
+  p.maxHp = p.baseMaxHp;
 
   // map/pos (validate)
   const mapId = (row.map_id || p.mapId || "C").toString();
@@ -243,6 +515,13 @@ function applyRowToPlayer(p, row) {
 
   p.gold = row.gold ?? p.gold;
 
+  p.stats = sanitizeStats(row.stats);
+  p.skillRanks = sanitizeSkillRanks(row.skill_levels);
+  p.save = (row.save_point && typeof row.save_point === "object" && row.save_point.statueId)
+    ? { mapId: String(row.save_point.mapId), statueId: String(row.save_point.statueId), name: String(row.save_point.name || "Statue") }
+    : null;
+  p.dialogueGrants = (row.dialogue_grants && typeof row.dialogue_grants === "object") ? { ...row.dialogue_grants } : {};
+
   // Keep combat pipeline consistent with equipment
   const equippedWeaponId = p.equipment?.weapon || null;
   const def = equippedWeaponId ? ITEMS[equippedWeaponId] : null;
@@ -318,6 +597,7 @@ function sanitizeMapForSave(raw, mapId) {
     portals: Array.isArray(raw.portals) ? raw.portals : [],
     npcs: Array.isArray(raw.npcs) ? raw.npcs : [],
     mobSpawns: Array.isArray(raw.mobSpawns) ? raw.mobSpawns : [],
+    bossRooms: Array.isArray(raw.bossRooms) ? raw.bossRooms : [],
   };
 
   return clean;
@@ -483,6 +763,8 @@ function cloneMap(m) {
     // the client/editor can export without losing pre-existing spawns.
     // Accept both the preferred `mobSpawns` and legacy `mobs` field from older exports.
     mobSpawns: (m.mobSpawns || m.mobs || []).map(s => ({ ...s })),
+    // Authored boss encounters (see BOSSES); carried along for editor exports like mobSpawns.
+    bossRooms: (m.bossRooms || []).map(r => ({ ...r })),
   };
 }
 
@@ -555,6 +837,8 @@ const MOB_RADIUS = 16;
 const MOB_DEFS = {
   // Keep all mob tuning in one place: stats, rewards, collision, behavior.
   // Knockback tuning is per-mob so heavier mobs are harder to shove around.
+  // onHitEffect: STATUS_EFFECTS spec the mob's attacks apply to players.
+  // attack: MOB_ATTACK_KINDS profile ({ kind, ...overrides }); omitted = plain melee bite.
   green: {
     radius: 28, maxHp: 50,  damage: 15, xp: 1, passiveUntilHit: true,
     knockbackThreshold: 10, knockbackDist: 30,
@@ -569,33 +853,151 @@ const MOB_DEFS = {
   },
   purple: {
     radius: 28, maxHp: 150, damage: 25, xp: 1, passiveUntilHit: false,
-    knockbackThreshold: 18, knockbackDist: 30,
+    knockbackThreshold: 18, knockbackDist: 30, onHitEffect: { id: "poison" },
   },
   rainbow: {
     radius: 28, maxHp: 300, damage: 35, xp: 1, passiveUntilHit: false,
-    knockbackThreshold: 25, knockbackDist: 30,
+    knockbackThreshold: 25, knockbackDist: 30, onHitEffect: { id: "burn" },
+    attack: { kind: "lunge" },
   },
   snail_blue: {
     radius: 28, maxHp: 180, damage: 30, xp: 1, passiveUntilHit: false,
-    knockbackThreshold: 22, knockbackDist: 30,
+    knockbackThreshold: 22, knockbackDist: 30, onHitEffect: { id: "slow" },
+    attack: { kind: "ranged" },
   },
   snail_red: {
     radius: 28, maxHp: 220, damage: 35, xp: 1, passiveUntilHit: true,
     knockbackThreshold: 28, knockbackDist: 30,
+    attack: { kind: "slam" },
   },
 };
 
+// Mob attack profiles (see MOB ATTACKS). Every mob bites when within MOB_HIT; special kinds
+// also wind up in place (clients draw the snapshot `telegraph`), then fire and go on cooldown.
+const MOB_HIT = 36;      // bite reach, center to center (px)
+const MOB_ATK_CD = 0.9;  // seconds between bites
+const MOB_ATTACK_KINDS = {
+  melee: {},
+  // Holds between keepAwayPx and preferPx from its target and spits along the telegraphed line.
+  // count > 1 fans the spits across spreadDeg.
+  ranged: {
+    range: 320, keepAwayPx: 140, preferPx: 240, windupMs: 450, cooldownSec: 2.2, damageMul: 0.8,
+    projectileSpeed: 300, projectileRad: 10, projectileLifeMs: 1300, count: 1, spreadDeg: 0,
+  },
+  // Crouches, then dashes along the telegraphed line, hitting everyone it runs through.
+  lunge: { range: 180, windupMs: 550, cooldownSec: 3.0, damageMul: 1.3, lungeSpeed: 560, lungeMs: 300 },
+  // Roots while a circle fills in around it, then hits everyone inside.
+  slam: { range: 90, windupMs: 900, cooldownSec: 4.0, damageMul: 1.6, radius: 120 },
+};
+
+function mobAttackProfile(spec) {
+  const kind = (spec && MOB_ATTACK_KINDS[spec.kind]) ? spec.kind : "melee";
+  return { ...MOB_ATTACK_KINDS[kind], ...(spec || {}), kind };
+}
+
 // Aggro tuning
 const MOB_BASE_AGGRO = 300;      // normal “notice” distance
 const MOB_HIT_AGGRO = 700;       // how far mobs will chase a player that hit them (wand-friendly)
 const MOB_HIT_AGGRO_MS = 6500;   // how long (ms) a mob stays “provoked” since last hit
 
+// Spawn tuning (mobSpawns entries can override these per spawn)
+const MOB_RESPAWN_SEC = 5;           // default respawn delay when a spawn doesn't author respawnSec
+const MOB_MIN_RESPAWN_SEC = 0.1;     // respawnIn > 0 doubles as the "dead" flag, so never use 0
+const MOB_SPAWN_MAX_COUNT = 50;      // sanity cap for authored `count`
+const MOB_LEASH_ARRIVE_PX = TILE / 2; // a leashed mob stops returning once it is this close to home
+
+// Threat: each mob keeps m.threat (playerId -> threat). Damage adds its amount, healing near
+// the mob adds MOB_THREAT_HEAL_MUL per HP, taunts jump to the top. A provoked mob targets the
+// highest-threat player within hitAggroRange; the table decays over time and is wiped when the
+// mob calms down (aggroUntil runs out), leashes home or respawns.
+const MOB_THREAT_DECAY_PER_SEC = 0.1;  // fraction of threat lost per second
+const MOB_THREAT_MIN = 0.5;            // entries decayed below this are dropped
+const MOB_THREAT_PROVOKE = 1;          // floor for a hit that did no damage
+const MOB_THREAT_HEAL_MUL = 0.5;
+const MOB_THREAT_HEAL_RANGE = 400;     // healing within this distance of an engaged mob draws its threat
+const MOB_THREAT_STICKY_MUL = 1.1;     // the current target keeps aggro until someone beats it by 10%
+const MOB_TAUNT_MARGIN = 1.25;         // a taunt sets the caster to this much of the current top threat
+
 // When a mob is damaged, force it into a "provoked" aggro state for a while.
 // This lets ranged (wand) hits pull mobs even from outside normal aggro range.
 function setMobAggro(mob, attackerId) {
   const now = Date.now();
-  mob.aggroTargetId = attackerId;
+  mob.threat[attackerId] = Math.max(mob.threat[attackerId] || 0, MOB_THREAT_PROVOKE);
   mob.aggroUntil = now + (mob.aggroDurationMs ?? MOB_HIT_AGGRO_MS);
+  // Never lock onto someone the mob can't fight (e.g. a player outside a boss's room).
+  mob.aggroTargetId = mobThreatTarget(mob) || (mobCanTargetPlayer(mob, players.get(attackerId)) ? attackerId : null);
+}
+
+function addMobThreat(mob, playerId, amount) {
+  if (!playerId || !(amount > 0)) return;
+  mob.threat[playerId] = (mob.threat[playerId] || 0) + amount;
+}
+
+// Taunt: put playerId on top of the threat table and make the mob switch to them right away.
+function tauntMob(mob, playerId) {
+  let top = 0;
+  for (const t of Object.values(mob.threat)) top = Math.max(top, t);
+  mob.threat[playerId] = Math.max(mob.threat[playerId] || 0, top * MOB_TAUNT_MARGIN, MOB_THREAT_PROVOKE);
+  setMobAggro(mob, playerId);
+  if (mobCanTargetPlayer(mob, players.get(playerId))) mob.aggroTargetId = playerId;
+}
+
+// Healing draws threat from engaged mobs near the healed player.
+function addHealThreat(healerId, target, amount) {
+  if (!(amount > 0)) return;
+  const nowMs = Date.now();
+  for (const m of mobs.values()) {
+    if (m.mapId !== target.mapId || m.respawnIn > 0 || m.aggroUntil <= nowMs) continue;
+    if (dist(m.x, m.y, target.x, target.y) > MOB_THREAT_HEAL_RANGE) continue;
+    addMobThreat(m, healerId, amount * MOB_THREAT_HEAL_MUL);
+  }
+}
+
+function decayMobThreat(mob, dt) {
+  const k = Math.max(0, 1 - MOB_THREAT_DECAY_PER_SEC * dt);
+  for (const pid of Object.keys(mob.threat)) {
+    mob.threat[pid] *= k;
+    if (mob.threat[pid] < MOB_THREAT_MIN) delete mob.threat[pid];
+  }
+}
+
+// Living player on the mob's map it may fight: bosses stay in their room, and characters held
+// for a reconnect (see RECONNECT GRACE) are left alone.
+function mobCanTargetPlayer(mob, p) {
+  if (!p || p.mapId !== mob.mapId || p.hp <= 0 || p.respawnIn > 0) return false;
+  if (isHeldForReconnect(p)) return false;
+  return !mob.boss || playerInBossRoom(p, mob);
+}
+
+// Highest-threat targetable player within hitAggroRange (null if none).
+function mobThreatTarget(mob) {
+  const range = mob.hitAggroRange ?? MOB_HIT_AGGRO;
+  let bestId = null;
+  let best = 0;
+  for (const [pid, threat] of Object.entries(mob.threat)) {
+    const p = players.get(pid);
+    if (!mobCanTargetPlayer(mob, p)) continue;
+    if (dist(p.x, p.y, mob.x, mob.y) > range) continue;
+    const t = (pid === mob.aggroTargetId) ? threat * MOB_THREAT_STICKY_MUL : threat;
+    if (t > best) { best = t; bestId = pid; }
+  }
+  return bestId;
+}
+
+function clearMobAggro(mob) {
+  mob.aggroTargetId = null;
+  mob.aggroUntil = 0;
+  mob.threat = {};
+}
+
+// Record player damage on a mob before it is applied (m.lastHitBy + per-player totals in
+// m.damageBy, capped at the HP the mob had left). Kill XP and loot ownership are split from
+// damageBy; the same amount is added to the player's threat.
+function creditMobDamage(mob, playerId, amount) {
+  mob.lastHitBy = playerId;
+  if (!playerId || !(amount > 0)) return;
+  mob.damageBy[playerId] = (mob.damageBy[playerId] || 0) + Math.min(amount, Math.max(0, mob.hp));
+  addMobThreat(mob, playerId, amount);
 }
 
 // 64x64 sprite: use a "foot" collision circle so the head/cape can overlap tiles
@@ -666,6 +1068,91 @@ function applyFixedSpawn(p) {
   p.y = s.y;
 }
 
+/* ======================
+   SAVE STATUES & DEATH
+   Save statues are map NPCs authored with `saveStatue: true`. Interacting with one binds the
+   player's respawn point: p.save = { mapId, statueId, name }, persisted as players.save_point.
+   Dying applies DEATH_PENALTY and, after PLAYER_RESPAWN_SEC, respawns the player in front of
+   their statue. Players without one (or whose statue no longer exists) go to DEFAULT_SPAWN.
+====================== */
+const PLAYER_RESPAWN_SEC = 4;
+const DEFAULT_SPAWN_NAME = "Town";
+
+// mode: "xp"   lose xpLossPct% of the XP earned toward the next level (never drops a level)
+//       "gold" drop goldLossPct% of carried gold as a pouch only its owner can pick up
+//       "none" no penalty
+// Set DEATH_PENALTY=xp|gold|none in the environment to switch modes.
+const DEATH_PENALTY = {
+  mode: ["xp", "gold", "none"].includes(process.env.DEATH_PENALTY) ? process.env.DEATH_PENALTY : "xp",
+  xpLossPct: 10,
+  goldLossPct: 10,
+  pouchLifetimeMs: 5 * 60_000,
+};
+
+function bindSavePoint(p, ws, npc) {
+  p.save = { mapId: npc.mapId, statueId: npc.id, name: npc.name || "Statue" };
+  send(ws, { type: "savePoint", save: savePointView(p) });
+  send(ws, { type: "dialogue", npcId: npc.id, npcName: npc.name || npc.id, text: "Your respawn point is now bound to this statue." });
+  dbSavePlayer(p).catch((err) => {
+    console.error("⚠️ Save statue persist failed:", err?.message || err);
+  });
+}
+
+// Where p will respawn: their bound statue if it still exists, else DEFAULT_SPAWN.
+function respawnPointFor(p) {
+  const statue = p.save ? npcs.get(p.save.statueId) : null;
+  if (statue?.saveStatue && maps[statue.mapId]) {
+    return {
+      mapId: statue.mapId,
+      tx: Math.floor(statue.x / TILE),
+      ty: Math.floor(statue.y / TILE) + 1, // stand in front of it
+      name: statue.name || "Statue",
+    };
+  }
+  return { ...DEFAULT_SPAWN, name: DEFAULT_SPAWN_NAME };
+}
+
+function savePointView(p) {
+  const r = respawnPointFor(p);
+  return { mapId: r.mapId, name: r.name, statueId: p.save?.statueId ?? null };
+}
+
+function applyRespawnPoint(p) {
+  const r = respawnPointFor(p);
+  const s = spawnNearTile(r.mapId, r.tx, r.ty, PLAYER_FOOT_RADIUS);
+  p.mapId = r.mapId;
+  p.x = s.x;
+  p.y = s.y;
+}
+
+// Returns what was lost, for the death screen: { xpLost } | { goldDropped } | null.
+function applyDeathPenalty(p) {
+  if (DEATH_PENALTY.mode === "xp") {
+    const xpLost = Math.floor((p.xp || 0) * DEATH_PENALTY.xpLossPct / 100);
+    if (xpLost <= 0) return null;
+    p.xp -= xpLost;
+    return { xpLost };
+  }
+  if (DEATH_PENALTY.mode === "gold") {
+    const goldDropped = Math.floor((p.gold || 0) * DEATH_PENALTY.goldLossPct / 100);
+    if (goldDropped <= 0) return null;
+    spendGold(p, goldDropped);
+    spawnCoins(p.mapId, p.x, p.y + PLAYER_FOOT_OFFSET_Y, goldDropped, { ownerId: p.id, lifetimeMs: DEATH_PENALTY.pouchLifetimeMs });
+    return { goldDropped };
+  }
+  return null;
+}
+
+// A player's HP just hit 0 (outside a duel): start the respawn timer and show the death screen.
+function killPlayer(p) {
+  if (p.respawnIn > 0) return;
+  p.respawnIn = PLAYER_RESPAWN_SEC;
+  // No penalty while held for a reconnect: the player couldn't do anything about it.
+  const penalty = isHeldForReconnect(p) ? null : applyDeathPenalty(p);
+  const ws = idToSocket.get(p.id);
+  if (ws) send(ws, { type: "dead", respawnInMs: PLAYER_RESPAWN_SEC * 1000, respawnAt: savePointView(p), penalty });
+}
+
 function collides(mapId, nx, ny, radius) {
   const left = nx - radius;
   const right = nx + radius;
@@ -853,10 +1340,51 @@ function findSpawn(mapId, radius) {
   return { x: TILE * 2, y: TILE * 2 };
 }
 
+// Explicit destination tile authored on a portal (toX/toY), or null when the portal
+// relies on pair/return-portal matching. Both coordinates must be present.
+function portalExplicitDest(portal) {
+  if (!portal || portal.toX == null || portal.toY == null) return null;
+  const tx = Number(portal.toX);
+  const ty = Number(portal.toY);
+  if (!Number.isInteger(tx) || !Number.isInteger(ty)) return null;
+  return { tx, ty };
+}
+
+// Describe why a portal's explicit destination can't be used (null = usable or not explicit).
+function portalDestProblem(portal) {
+  const dest = portalExplicitDest(portal);
+  if (!dest) return null;
+  const m = maps[portal.to];
+  if (!m) return `destination map "${portal.to}" does not exist`;
+  if (dest.tx < 0 || dest.ty < 0 || dest.tx >= m.w || dest.ty >= m.h) {
+    return `destination (${dest.tx},${dest.ty}) is outside map ${portal.to}`;
+  }
+  if (!trySpawnAtTile(portal.to, dest.tx, dest.ty, PLAYER_FOOT_RADIUS)) {
+    return `destination (${dest.tx},${dest.ty}) on map ${portal.to} is blocked`;
+  }
+  return null;
+}
+
+// Startup report so bad toX/toY values show up in the log instead of as silent travel failures.
+function reportPortalProblems() {
+  for (const [mapId, m] of Object.entries(maps)) {
+    for (const portal of m.portals || []) {
+      const problem = portalDestProblem(portal);
+      if (problem) console.warn(`⚠️ Portal ${mapId}(${portal.x},${portal.y}) -> ${portal.to}: ${problem}`);
+    }
+  }
+}
+
+// Returns the arrival position for travelling through sourcePortal into mapId.
+// Priority: explicit toX/toY tile -> return portal with a matching pair/id ->
+// first portal back to fromMapId. Returns null when an explicit destination is blocked.
 function findPortalSpawn(mapId, fromMapId, sourcePortal = null) {
   const m = maps[mapId];
   if (!m) return findSpawn(mapId, PLAYER_FOOT_RADIUS);
 
+  const dest = portalExplicitDest(sourcePortal);
+  if (dest) return trySpawnAtTile(mapId, dest.tx, dest.ty, PLAYER_FOOT_RADIUS);
+
   const portals = m.portals || [];
 
   // If multiple portals link the same two maps, prefer the one that matches the
@@ -917,8 +1445,7 @@ function awardXp(player, amount) {
     player.level += 1;
     player.xpNext = xpToNext(player.level);
 
-    player.maxHp += 10;
-    player.atk += 2;
+    // Growth comes from stat points (see STATS) rather than fixed per-level gains.
     player.hp = player.maxHp;
 
     leveled = true;
@@ -931,9 +1458,11 @@ function awardXp(player, amount) {
         type: "levelup",
         level: player.level,
         maxHp: player.maxHp,
-        atk: player.atk,
+        atk: getPlayerAttack(player),
         xp: player.xp,
-        xpNext: player.xpNext
+        xpNext: player.xpNext,
+        statPoints: statPointsFree(player),
+        skillPoints: skillPointsFree(player)
       });
     }
   }
@@ -961,13 +1490,31 @@ function killMobAndReward(m, killerId) {
   if (!m || m.respawnIn > 0) return;
 
   const killer = killerId ? players.get(killerId) : null;
-
-  if (killer) {
-    handleQuestProgress(killer, m);
-    awardXp(killer, m.xp ?? MOB_DEFS[m.mobType]?.xp ?? 12);
-    recordMonsterBookKill(killer, m.mobType);
+  const contributors = mobContributors(m);
+  if (!contributors.length && killer) contributors.push({ p: killer, dealt: 1 });
+
+  if (m.boss) {
+    rewardBossKill(m);
+  } else if (contributors.length) {
+    // XP is split by share of damage dealt; each contributor's cut is shared with their party.
+    const xp = Math.max(0, Math.round(m.xp ?? MOB_DEFS[m.mobType]?.xp ?? 12));
+    const total = contributors.reduce((sum, c) => sum + c.dealt, 0);
+    const xpFor = new Map(); // player -> fractional xp
+    for (const { p, dealt } of contributors) {
+      const share = partyKillShare(p, m);
+      for (const q of share) xpFor.set(q, (xpFor.get(q) || 0) + xp * (dealt / total) / share.length);
+    }
+    for (const [q, amount] of splitXpByShares(xp, xpFor)) {
+      questOnKill(q, m);
+      if (amount > 0) awardXp(q, amount);
+    }
+    if (killer) recordMonsterBookKill(killer, m.mobType);
   }
 
+  // Loot is reserved for the top contributor (and their party) for a few seconds.
+  const top = contributors[0]?.p;
+  const lootOwner = top ? { ownerId: top.id, ownerPartyId: top.partyId || null, ownerUntilMs: Date.now() + DROP_OWNERSHIP_MS } : null;
+
   // When a mob dies, scatter its drops slightly so they don't all overlap.
   // We still respect collision: drops will never be placed directly on a
   // blocked tile (wall/solid object). If no nearby free spot is found,
@@ -980,42 +1527,91 @@ function killMobAndReward(m, killerId) {
   const coins = 2 + Math.floor(Math.random() * 4);
   if (coins > 0) {
     const pos = findDropScatterPos(mapId, baseX, baseY, dropIndex++);
-    spawnCoins(mapId, pos.x, pos.y, coins);
+    spawnCoins(mapId, pos.x, pos.y, coins, lootOwner);
   }
 
-  dropIndex = rollMobDrops(m, dropIndex, baseX, baseY);
+  if (!m.boss) dropIndex = rollMobDrops(m, dropIndex, baseX, baseY, null, lootOwner);
 
   m.deadAtMs = Date.now();
   m.corpseUntilMs = m.deadAtMs + 2000;
-  m.respawnIn = 5;
+  m.respawnIn = Math.max(MOB_MIN_RESPAWN_SEC, Number.isFinite(m.respawnSec) ? m.respawnSec : MOB_RESPAWN_SEC);
+}
+
+// Players who damaged m and are still on its map, biggest hitter first: [{ p, dealt }].
+function mobContributors(m) {
+  const out = [];
+  for (const [pid, dealt] of Object.entries(m.damageBy || {})) {
+    const q = players.get(pid);
+    if (q && q.mapId === m.mapId && dealt > 0) out.push({ p: q, dealt });
+  }
+  return out.sort((a, b) => b.dealt - a.dealt);
+}
+
+
+// Whole-XP split of `total` over fractional shares (player -> share, summing to total) by largest
+// remainder: the amounts add up to exactly `total`, so a negligible share rounds down to 0. Ties go
+// to the earlier entry (the bigger hitter, as xpFor is filled in mobContributors order).
+function splitXpByShares(total, shares) {
+  const out = new Map();
+  const rest = [];
+  let given = 0;
+  for (const [q, share] of shares) {
+    const whole = Math.floor(share);
+    out.set(q, whole);
+    given += whole;
+    rest.push({ q, frac: share - whole });
+  }
+  rest.sort((a, b) => b.frac - a.frac);
+  for (let i = 0; i < total - given && i < rest.length; i++) out.set(rest[i].q, out.get(rest[i].q) + 1);
+  return out;
 }
 
 
 /* ======================
    LOOT (COINS)
 ====================== */
-const drops = new Map(); // dropId -> {id,mapId,x,y,itemId,qty,amount?,expiresAtMs}
+const drops = new Map(); // dropId -> {id,mapId,x,y,itemId,qty,amount?,expiresAtMs,ownerId?,ownerPartyId?,ownerUntilMs?}
 const DROP_LIFETIME_MS = 15000;
+// Mob loot stays with the top damage dealer (and their party) this long, then anyone can take it.
+const DROP_OWNERSHIP_MS = 6000;
 const PICKUP_RADIUS = 22;
 // Vertical tweak so pickup distance matches where drops appear on-screen.
 // Drops are drawn slightly above their world center, so bias the pickup point
 // upward a bit to match the visual.
 const DROP_PICKUP_Y_OFFSET = 16;
 
-function spawnCoins(mapId, x, y, amount) {
+// extra: drop owner fields (see applyDropOwner) and an optional lifetimeMs, as in spawnItemDrop.
+function spawnCoins(mapId, x, y, amount, extra = null) {
   const id = "d_" + newId();
-  drops.set(id, {
+  const drop = {
     id,
     mapId,
     x, y,
     itemId: "coin",
     qty: amount,
     amount,
-    expiresAtMs: Date.now() + DROP_LIFETIME_MS
-  });
+    expiresAtMs: Date.now() + (Number.isFinite(extra?.lifetimeMs) ? extra.lifetimeMs : DROP_LIFETIME_MS)
+  };
+  applyDropOwner(drop, extra);
+  drops.set(id, drop);
   return id;
 }
 
+// owner: { ownerId, ownerPartyId?, ownerUntilMs? }. Without ownerUntilMs the drop stays
+// personal for its whole lifetime (boss loot).
+function applyDropOwner(drop, owner) {
+  if (!owner?.ownerId) return;
+  drop.ownerId = owner.ownerId;
+  if (owner.ownerPartyId) drop.ownerPartyId = owner.ownerPartyId;
+  if (Number.isFinite(owner.ownerUntilMs)) drop.ownerUntilMs = owner.ownerUntilMs;
+}
+
+function canPickupDrop(p, d, nowMs = Date.now()) {
+  if (!d.ownerId || d.ownerId === p.id) return true;
+  if (d.ownerUntilMs && d.ownerUntilMs <= nowMs) return true;
+  return !!d.ownerPartyId && p.partyId === d.ownerPartyId;
+}
+
 
 function spawnItemDrop(mapId, x, y, itemId, qty = 1, extra = null) {
   const id = "d_" + newId();
@@ -1026,7 +1622,7 @@ function spawnItemDrop(mapId, x, y, itemId, qty = 1, extra = null) {
     x, y,
     itemId,
     qty,
-    expiresAtMs: Date.now() + DROP_LIFETIME_MS
+    expiresAtMs: Date.now() + (Number.isFinite(extra?.lifetimeMs) ? extra.lifetimeMs : DROP_LIFETIME_MS)
   };
 
   // Preserve rolled stats (e.g. weaponBonus) when explicitly provided.
@@ -1034,6 +1630,8 @@ function spawnItemDrop(mapId, x, y, itemId, qty = 1, extra = null) {
     if (Number.isFinite(extra.weaponBonus)) {
       drop.weaponBonus = extra.weaponBonus;
     }
+    // Loot ownership (mob kills, personal boss drops), see canPickupDrop.
+    applyDropOwner(drop, extra);
     // Future stat fields could be copied here as needed.
   }
 
@@ -1151,10 +1749,11 @@ function resolveDropQty(qtySpec) {
   return min + Math.floor(Math.random() * (max - min + 1));
 }
 
-function rollMobDrops(m, dropIndex = 0, baseX = null, baseY = null) {
+// table defaults to the mob type's MOB_DROP_TABLE entry; dropExtra is passed to spawnItemDrop.
+function rollMobDrops(m, dropIndex = 0, baseX = null, baseY = null, table = null, dropExtra = null) {
   if (!m) return dropIndex;
 
-  const dropsForType = MOB_DROP_TABLE[m.mobType];
+  const dropsForType = table || MOB_DROP_TABLE[m.mobType];
   if (!dropsForType || dropsForType.length === 0) return dropIndex;
 
   const mapId = m.mapId;
@@ -1175,7 +1774,7 @@ function rollMobDrops(m, dropIndex = 0, baseX = null, baseY = null) {
     if (!ITEMS[d.itemId]) continue;
 
     const pos = findDropScatterPos(mapId, cx, cy, dropIndex++);
-    spawnItemDrop(mapId, pos.x, pos.y, d.itemId, qty);
+    spawnItemDrop(mapId, pos.x, pos.y, d.itemId, qty, dropExtra);
   }
 
   return dropIndex;
@@ -1188,6 +1787,7 @@ function maybePickupDropsForPlayer(p) {
   for (const [did, d] of drops) {
     if (d.expiresAtMs <= nowMs) { drops.delete(did); continue; }
     if (d.mapId !== p.mapId) continue;
+    if (!canPickupDrop(p, d, nowMs)) continue;
     // Use a slightly raised pickup point so the collision matches where
     // the drop is actually drawn on the map (instead of feeling "below").
     const pickupY = d.y - DROP_PICKUP_Y_OFFSET;
@@ -1213,6 +1813,7 @@ function maybePickupDropsForPlayer(p) {
         if (added) {
           drops.delete(did);
           if (ws) send(ws, { type: "loot", kind: "item", itemId: d.itemId, qty });
+          questOnItemGained(p, d.itemId);
         } else {
           // Inventory full: leave the drop on the ground so the player can make space.
         }
@@ -1367,6 +1968,7 @@ const ITEMS = {
   onUse(player) {
     const HEAL = 50;
     player.hp = Math.min(player.maxHp, player.hp + HEAL);
+    applyStatusEffect(player, "regen", player.id);
   },
 },
 
@@ -1377,6 +1979,7 @@ potion_purple: {
   onUse(player) {
     const HEAL = 300;
     player.hp = Math.min(player.maxHp, player.hp + HEAL);
+    applyStatusEffect(player, "haste", player.id);
   },
 },
 
@@ -1387,23 +1990,26 @@ potion_purple: {
   bone_sword: { id: "bone_sword", name: "Bone Club", type: "weapon", slot: "weapon", weaponKey: "sword", maxStack: 1 , weaponSpeed: 1.4 },
   training_spear: { id: "training_spear", name: "Training Spear", type: "weapon", slot: "weapon", weaponKey: "spear", maxStack: 1 , weaponSpeed: 1.2, knockbackMul: 1.5 },
   blue_umbrella_spear: { id: "blue_umbrella_spear", name: "Sky Blue Umbrella", type: "weapon", slot: "weapon", weaponKey: "spear", maxStack: 1, weaponSpeed: 2, knockbackMul: 1.5 },
-  candy_cane_spear: { id: "candy_cane_spear", name: "North Pole", type: "weapon", slot: "weapon", weaponKey: "spear", maxStack: 1 , weaponSpeed: 1.2, knockbackMul: 1.5 },
-  fang_spear:       { id: "fang_spear",       name: "Twin Fang",       type: "weapon", slot: "weapon", weaponKey: "spear", maxStack: 1 , weaponSpeed: 1.2, knockbackMul: 1.5 },
+  // onHitEffect: STATUS_EFFECTS spec applied by the weapon's basic attacks
+  candy_cane_spear: { id: "candy_cane_spear", name: "North Pole", type: "weapon", slot: "weapon", weaponKey: "spear", maxStack: 1 , weaponSpeed: 1.2, knockbackMul: 1.5, onHitEffect: { id: "slow", durationMs: 1500 } },
+  fang_spear:       { id: "fang_spear",       name: "Twin Fang",       type: "weapon", slot: "weapon", weaponKey: "spear", maxStack: 1 , weaponSpeed: 1.2, knockbackMul: 1.5, onHitEffect: { id: "poison" } },
   trident_spear:    { id: "trident_spear",    name: "Trident",    type: "weapon", slot: "weapon", weaponKey: "spear", maxStack: 1 , weaponSpeed: 1.5, knockbackMul: 2 },
   training_wand:  { id: "training_wand",  name: "Training Wand",  type: "weapon", slot: "weapon", weaponKey: "wand",  maxStack: 1 , weaponSpeed: 1.2 },
-  bone_wand:      { id: "bone_wand",      name: "Bone Wand", type: "weapon", slot: "weapon", weaponKey: "wand",  maxStack: 1 , weaponSpeed: 1.2 },
-  cloth_armor:   { id: "cloth_armor",   name: "Apprentice Robe",   type: "armor",     slot: "armor",     maxStack: 1 },
-  charger_suit: { id: "charger_suit", name: "Charger Suit", type: "armor", slot: "armor", maxStack: 1 },
-  cloth_hat:     { id: "cloth_hat",     name: "Apprentice Hat",     type: "hat",       slot: "hat",       maxStack: 1 },
-  charger_helmet: { id: "charger_helmet", name: "Charger Helmet", type: "hat", slot: "hat", maxStack: 1 },
-  red_duke: { id: "red_duke", name: "Red Duke", type: "hat", slot: "hat", maxStack: 1 },
+  bone_wand:      { id: "bone_wand",      name: "Bone Wand", type: "weapon", slot: "weapon", weaponKey: "wand",  maxStack: 1 , weaponSpeed: 1.2, onHitEffect: { id: "burn" } },
+  // Stat bonuses on gear (summed by recomputePlayerBonuses): defense, maxHpBonus, atkBonus, speedBonus
+  cloth_armor:   { id: "cloth_armor",   name: "Apprentice Robe",   type: "armor",     slot: "armor",     maxStack: 1, defense: 8, maxHpBonus: 20 },
+  charger_suit: { id: "charger_suit", name: "Charger Suit", type: "armor", slot: "armor", maxStack: 1, defense: 20, maxHpBonus: 40 },
+  cloth_hat:     { id: "cloth_hat",     name: "Apprentice Hat",     type: "hat",       slot: "hat",       maxStack: 1, defense: 4 },
+  charger_helmet: { id: "charger_helmet", name: "Charger Helmet", type: "hat", slot: "hat", maxStack: 1, defense: 12, maxHpBonus: 20 },
+  red_duke: { id: "red_duke", name: "Red Duke", type: "hat", slot: "hat", maxStack: 1, defense: 10, atkBonus: 4 },
   lucky_charm:   { id: "lucky_charm",   name: "Lucky Charm",   type: "accessory", slot: "accessory", maxStack: 1, speedBonus: 20 }
 };
 
 // Prevent wasting healing potions when already at full HP.
+// The slime tonics also grant a status effect, so they stay usable at full HP.
 function isHealingConsumable(def) {
   const id = def && def.id;
-  return id === "potion_small" || id === "potion_green" || id === "potion_purple";
+  return id === "potion_small";
 }
 
 
@@ -1463,6 +2069,30 @@ function addItemToInventory(p, itemId, amount, weaponBonusOverride = null) {
   return amount === 0;
 }
 
+function countItemInInventory(p, itemId) {
+  const slots = p?.inventory?.slots;
+  if (!Array.isArray(slots)) return 0;
+  let n = 0;
+  for (const slot of slots) if (slot && slot.id === itemId) n += slot.qty ?? 1;
+  return n;
+}
+
+// Removes up to `amount` of itemId from the bag (emptying stacks back to front). Returns how many were removed.
+function removeItemFromInventory(p, itemId, amount) {
+  const slots = p?.inventory?.slots;
+  if (!Array.isArray(slots) || amount <= 0) return 0;
+  let removed = 0;
+  for (let i = slots.length - 1; i >= 0 && removed < amount; i--) {
+    const slot = slots[i];
+    if (!slot || slot.id !== itemId) continue;
+    const take = Math.min(slot.qty ?? 1, amount - removed);
+    slot.qty = (slot.qty ?? 1) - take;
+    removed += take;
+    if (slot.qty <= 0) slots[i] = null;
+  }
+  return removed;
+}
+
 
 
 // === Gear randomization helpers (local-only for now) ===
@@ -1505,27 +2135,48 @@ case "bone_wand":
   }
 }
 
-// Compute the player's effective attack, including weapon bonus.
+// Compute the player's effective attack, including weapon roll, gear bonuses and
+// STR (or INT when a wand is equipped, which feeds bolt damage).
 function getPlayerAttack(p) {
   const base = Number.isFinite(p.atk) ? p.atk : 0;
   const bonus = Number.isFinite(p.weaponBonus) ? p.weaponBonus : 0;
-  const total = base + bonus;
+  const gear = Number.isFinite(p.atkBonus) ? p.atkBonus : 0;
+  const st = sanitizeStats(p.stats);
+  const fromStats = p.weapon === "wand" ? st.int * STAT_INT_WAND_ATK : st.str * STAT_STR_ATK;
+  const total = base + bonus + gear + fromStats;
   return total > 0 ? total : 1;
 }
 
+// ===== Defense =====
+// Defense reduces incoming damage by def / (def + 100): 25 defense takes 20% off,
+// 100 defense halves it. A hit always does at least 1.
+function getPlayerDefense(p) {
+  const d = Number.isFinite(p?.defense) ? p.defense : 0;
+  return d > 0 ? d : 0;
+}
+
+function mitigatePlayerDamage(p, dmg) {
+  const def = getPlayerDefense(p);
+  return Math.max(1, Math.round(dmg * 100 / (100 + def)));
+}
+
 // ===== Speed stat helpers =====
 // "Speed" is a stat with a baseline of 100. Movement speed scales linearly:
 //   effectiveMoveSpeed = BASE_MOVE_SPEED * (Speed / 100)
 function getPlayerSpeedStat(p) {
   const base = Number.isFinite(p?.speed) ? p.speed : 100;
   const bonus = Number.isFinite(p?.speedBonus) ? p.speedBonus : 0;
-  const total = base + bonus;
+  const fromStats = sanitizeStats(p?.stats).agi * STAT_AGI_SPEED;
+  const total = base + bonus + fromStats;
   return total > 1 ? total : 1;
 }
 
 function recomputePlayerBonuses(p) {
   if (!p) return;
   let speedBonus = 0;
+  let defense = 0;
+  let maxHpBonus = 0;
+  let atkBonus = 0;
 
   const eq = p.equipment || {};
   for (const slotName of ["weapon", "armor", "hat", "accessory"]) {
@@ -1535,9 +2186,64 @@ function recomputePlayerBonuses(p) {
     if (!def) continue;
 
     if (Number.isFinite(def.speedBonus)) speedBonus += def.speedBonus;
+    if (Number.isFinite(def.defense)) defense += def.defense;
+    if (Number.isFinite(def.maxHpBonus)) maxHpBonus += def.maxHpBonus;
+    if (Number.isFinite(def.atkBonus)) atkBonus += def.atkBonus;
   }
 
   p.speedBonus = speedBonus;
+  p.defense = defense;
+  p.maxHpBonus = maxHpBonus;
+  p.atkBonus = atkBonus;
+
+  // maxHp is derived: base + gear + VIT. Taking gear off can't leave hp above the cap.
+  if (!Number.isFinite(p.baseMaxHp)) p.baseMaxHp = Number.isFinite(p.maxHp) ? p.maxHp : 100;
+  p.maxHp = p.baseMaxHp + maxHpBonus + sanitizeStats(p.stats).vit * STAT_VIT_HP;
+  if (p.hp > p.maxHp) p.hp = p.maxHp;
+
+  // Mastery of the equipped weapon type widens basic attacks.
+  const mastery = { sword: "sword_mastery", spear: "spear_mastery" }[p.weapon];
+  p.basicHitCap = mastery ? Math.floor(skillValue(p, mastery, "basicHitCap")) : 1;
+}
+
+/* ======================
+   STATS
+   Each level past 1 earns STAT_POINTS_PER_LEVEL points to put into STR / VIT / AGI / INT.
+   Only the allocation is stored (players.stats); free points are derived from level, so
+   they can never drift. A reset refunds everything for STAT_RESET_GOLD_PER_LEVEL * level.
+====================== */
+const STAT_KEYS = ["str", "vit", "agi", "int"];
+const STAT_POINTS_PER_LEVEL = 4;
+const STAT_STR_ATK = 1;        // attack per STR (non-wand weapons)
+const STAT_INT_WAND_ATK = 1;   // attack per INT while a wand is equipped
+const STAT_VIT_HP = 5;         // max HP per VIT
+const STAT_AGI_SPEED = 1;      // Speed per AGI (100 = baseline)
+const STAT_RESET_GOLD_PER_LEVEL = 50;
+const PLAYER_BASE_ATK = 10;
+const PLAYER_BASE_MAX_HP = 100;
+// Fixed gains every level-up used to add to atk / max HP (see applyRowToPlayer's migration).
+const LEGACY_LEVEL_ATK_GAIN = 2;
+const LEGACY_LEVEL_HP_GAIN = 10;
+
+function sanitizeStats(raw) {
+  const out = { str: 0, vit: 0, agi: 0, int: 0 };
+  if (!raw || typeof raw !== "object") return out;
+  for (const k of STAT_KEYS) {
+    const v = Math.floor(Number(raw[k]));
+    if (Number.isFinite(v) && v > 0) out[k] = v;
+  }
+  return out;
+}
+
+function statPointsFree(p) {
+  const earned = Math.max(0, ((p.level ?? 1) - 1) * STAT_POINTS_PER_LEVEL);
+  const st = sanitizeStats(p.stats);
+  const spent = STAT_KEYS.reduce((sum, k) => sum + st[k], 0);
+  return Math.max(0, earned - spent);
+}
+
+function statResetCost(p) {
+  return STAT_RESET_GOLD_PER_LEVEL * (p.level ?? 1);
 }
 
 
@@ -1643,7 +2349,7 @@ function swordHitTestSkill4(p, m) {
 ====================== */
 const projectiles = new Map(); // id -> {id,mapId,ownerId,x,y,vx,vy,rad,damage,expiresAtMs}
 
-function spawnProjectile({ mapId, ownerId, x, y, vx, vy, rad = 10, damage = 8, lifeMs = 850, sprite = null, skill1 = false, knockbackMul = 1 }) {
+function spawnProjectile({ mapId, ownerId, x, y, vx, vy, rad = 10, damage = 8, lifeMs = 850, sprite = null, skill1 = false, knockbackMul = 1, onHitEffect = null, fromMob = false }) {
   const id = "pr_" + newId();
   projectiles.set(id, {
     id, mapId, ownerId,
@@ -1653,6 +2359,8 @@ function spawnProjectile({ mapId, ownerId, x, y, vx, vy, rad = 10, damage = 8, l
     sprite: sprite || null,   // client uses this to pick an image
     skill1: !!skill1,         // if true: on mob-hit, trigger Skill 1 whirlpool
     knockbackMul: (Number.isFinite(knockbackMul) && knockbackMul > 0) ? knockbackMul : 1,
+    onHitEffect,              // STATUS_EFFECTS spec applied to the mob it hits
+    fromMob: !!fromMob,       // ownerId is a mob: hits players instead of mobs
     expiresAtMs: Date.now() + lifeMs
   });
   return id;
@@ -1671,7 +2379,9 @@ const npcs = new Map();
 
 // Static NPCs: no wandering, just stand in place with a single image.
 // sprite is a client-facing asset path under /assets (e.g. "npcs/npc_girl.png").
-function spawnNpc({ id, name, mapId, tx, ty, x, y, sprite }) {
+// `dialogue` (optional) is a dialogue tree that overrides NPC_DIALOGUE for this NPC.
+// `shop` (optional) is a SHOPS id or an inline shop object.
+function spawnNpc({ id, name, mapId, tx, ty, x, y, sprite, dialogue, shop, saveStatue }) {
   let pos;
   if (Number.isFinite(x) && Number.isFinite(y)) {
     pos = { x, y };
@@ -1686,1322 +2396,2388 @@ function spawnNpc({ id, name, mapId, tx, ty, x, y, sprite }) {
     id, name, mapId,
     x: pos.x, y: pos.y,
     sprite: sprite || null,
+    dialogue: (dialogue && typeof dialogue === "object") ? dialogue : null,
+    shop: (typeof shop === "string" || (shop && typeof shop === "object")) ? shop : null,
+    saveStatue: !!saveStatue,
   });
 }
 
 
-// Starter quest: Jangoon -> kill 10 green slimes -> reward Red Duke
-function getJangoonQuest(p) {
-  if (!p.quests) p.quests = {};
-  if (!p.quests.jangoon_red_duke) {
-    p.quests.jangoon_red_duke = { started: false, kills: 0, completed: false, rewarded: false };
+/* ======================
+   QUESTS
+   Quests are plain data. Objective types:
+     kill    { mobType, count }
+     collect { itemId, count, consume }  counted from the bag; taken on turn-in when consume is true
+     talk    { npcId }
+     visit   { mapId }
+   Rewards: { xp, gold, items: [{ id, qty }] }. A quest is offered by `giver` once `prereqs`
+   ({ level, quests: [ids] }) are met and handed in to `turnIn` (defaults to the giver).
+   Progress lives in p.quests[questId] = { state: "active" | "done", progress: [n per objective] }
+   so it persists with the rest of the save.
+====================== */
+const QUESTS = {
+  jangoon_red_duke: {
+    name: "Slime Cleanup",
+    giver: "npc_jangoon",
+    objectives: [{ type: "kill", mobType: "green", count: 10, label: "Green slimes" }],
+    rewards: { items: [{ id: "red_duke", qty: 1 }] },
+    text: {
+      offer: "Quest started: Slime Cleanup!\nKill 10 green slimes.",
+      progress: "Slime Cleanup progress:",
+      complete: "Well done. Take this: Red Duke.",
+    },
+  },
+  jangoon_jelly_delivery: {
+    name: "Jelly Delivery",
+    giver: "npc_jangoon",
+    prereqs: { level: 2, quests: ["jangoon_red_duke"] },
+    objectives: [{ type: "collect", itemId: "green_jelly", count: 5, consume: true, label: "Green Jelly" }],
+    rewards: { xp: 30, gold: 150, items: [{ id: "potion_green", qty: 3 }] },
+    text: {
+      offer: "Bring me 5 Green Jelly. The slimes drop it.",
+      progress: "Still waiting on that jelly:",
+      complete: "Perfect, that'll keep the shop stocked. Here's your cut.",
+    },
+  },
+  girl_look_around: {
+    name: "Look Around",
+    giver: "npc_girl",
+    objectives: [
+      { type: "visit", mapId: "A", label: "Visit the fields west of town" },
+      { type: "talk", npcId: "npc_jangoon", label: "Say hello to Jangoon" },
+    ],
+    rewards: { xp: 10, items: [{ id: "potion_small", qty: 5 }] },
+    text: {
+      offer: "New here? Take a walk west to the fields, then say hi to Jangoon for me!",
+      progress: "Don't forget:",
+      complete: "See? Not so scary. Take these potions.",
+    },
+  },
+};
+
+function questObjectiveLabel(o) {
+  if (o.label) return o.label;
+  if (o.type === "kill") return `Defeat ${MOB_CATALOG[o.mobType]?.name || o.mobType}`;
+  if (o.type === "collect") return ITEMS[o.itemId]?.name || o.itemId;
+  if (o.type === "talk") return `Talk to ${npcs.get(o.npcId)?.name || o.npcId}`;
+  if (o.type === "visit") return `Visit ${o.mapId}`;
+  return o.type;
+}
+
+// Returns this player's record for a quest (null if never started), upgrading the old
+// hardcoded Jangoon shape { started, kills, completed, rewarded } on the way.
+function getQuestRecord(p, questId) {
+  if (!p.quests || typeof p.quests !== "object") p.quests = {};
+  const q = p.quests[questId];
+  if (!q || typeof q !== "object") return null;
+  if (!q.state) {
+    if (!q.started) { delete p.quests[questId]; return null; }
+    p.quests[questId] = { state: q.rewarded ? "done" : "active", progress: [q.kills || 0] };
+  }
+  const rec = p.quests[questId];
+  if (!Array.isArray(rec.progress)) rec.progress = [];
+  return rec;
+}
+
+function questPrereqsMet(p, def) {
+  const pre = def.prereqs || {};
+  if (Number.isFinite(pre.level) && (p.level ?? 1) < pre.level) return false;
+  for (const qid of pre.quests || []) {
+    if (getQuestRecord(p, qid)?.state !== "done") return false;
   }
-  return p.quests.jangoon_red_duke;
+  return true;
 }
 
-function handleQuestProgress(p, mob) {
-  if (!p || !mob) return;
-  const q = getJangoonQuest(p);
-  if (!q.started || q.rewarded) return;
+// Current count toward one objective (collect objectives read the bag live).
+function questObjectiveHave(p, rec, def, i) {
+  const o = def.objectives[i];
+  const need = o.count ?? 1;
+  const have = o.type === "collect" ? countItemInInventory(p, o.itemId) : (rec.progress[i] || 0);
+  return Math.min(need, have);
+}
 
-  // Only count green slime kills
-  if (mob.mobType !== "green") return;
+function questIsReady(p, rec, def) {
+  return def.objectives.every((o, i) => questObjectiveHave(p, rec, def, i) >= (o.count ?? 1));
+}
 
-  const NEED = 10;
-  q.kills = Math.min(NEED, (q.kills || 0) + 1);
-  if (q.kills >= NEED) q.completed = true;
+function questView(p, questId) {
+  const def = QUESTS[questId];
+  const rec = getQuestRecord(p, questId);
+  if (!def || !rec) return null;
+  const turnIn = def.turnIn || def.giver;
+  return {
+    id: questId,
+    name: def.name,
+    state: rec.state === "active" && questIsReady(p, rec, def) ? "ready" : rec.state,
+    turnInName: npcs.get(turnIn)?.name || turnIn,
+    objectives: def.objectives.map((o, i) => ({
+      label: questObjectiveLabel(o),
+      have: questObjectiveHave(p, rec, def, i),
+      need: o.count ?? 1,
+    })),
+    rewards: def.rewards || {},
+  };
 }
 
-const npcDialogue = {
-  npc_crystal: [
-    "The crystal hums softly…",
-    "Press E near portals to travel.",
-  ],
-  npc_girl: [
-    "Hi! Welcome 🙂",
-    "Left-click to attack • I for inventory",
-  ],
-  npc_jangoon: [
-    "…",
-    "I have work for you, if you’re willing.",
-  ],
-};
+function sendQuestLog(p) {
+  const ws = idToSocket.get(p.id);
+  if (!ws) return;
+  const quests = [];
+  for (const questId of Object.keys(QUESTS)) {
+    const v = questView(p, questId);
+    if (v) quests.push(v);
+  }
+  send(ws, { type: "questLog", quests });
+}
 
-function randomDir() {
-  const dirs = [
-    [ 1, 0], [-1, 0], [0, 1], [0,-1],
-    [ 1, 1], [ 1,-1], [-1, 1], [-1,-1],
-    [ 0, 0]
-  ];
-  const [dx, dy] = dirs[Math.floor(Math.random() * dirs.length)];
-  const len = Math.hypot(dx, dy) || 1;
-  return [dx / len, dy / len];
+function questProgressText(p, questId) {
+  const v = questView(p, questId);
+  return v ? v.objectives.map((o) => `${o.label}: ${o.have}/${o.need}`).join("\n") : "";
 }
 
-/* ======================
-   MOBS
-====================== */
+// Bump every active objective that `matches` and tell the client about each change.
+function advanceQuests(p, matches, amount = 1) {
+  if (!p?.quests) return;
+  const ws = idToSocket.get(p.id);
+  let changed = false;
+  for (const [questId, def] of Object.entries(QUESTS)) {
+    const rec = getQuestRecord(p, questId);
+    if (!rec || rec.state !== "active") continue;
+    def.objectives.forEach((o, i) => {
+      if (!matches(o)) return;
+      const need = o.count ?? 1;
+      const before = questObjectiveHave(p, rec, def, i);
+      if (o.type !== "collect") rec.progress[i] = Math.min(need, (rec.progress[i] || 0) + amount);
+      const have = questObjectiveHave(p, rec, def, i);
+      if (have === before) return;
+      changed = true;
+      if (ws) {
+        send(ws, {
+          type: "questProgress",
+          questId,
+          name: def.name,
+          label: questObjectiveLabel(o),
+          have,
+          need,
+          ready: questIsReady(p, rec, def),
+        });
+      }
+    });
+  }
+  if (changed) sendQuestLog(p);
+}
 
+function questOnKill(p, mob) {
+  advanceQuests(p, (o) => o.type === "kill" && o.mobType === mob.mobType);
+}
 
-const mobs = new Map();
+function questOnVisitMap(p, mapId) {
+  advanceQuests(p, (o) => o.type === "visit" && o.mapId === mapId);
+}
 
-function spawnMob(id, mapId, opts = {}) {
-  const mobType = opts.mobType || "purple"; // green | pink | orange | purple | rainbow | snail_blue | snail_red
-  const radius = opts.radius ?? MOB_DEFS[mobType]?.radius ?? MOB_RADIUS;
+function questOnTalk(p, npcId) {
+  advanceQuests(p, (o) => o.type === "talk" && o.npcId === npcId);
+}
 
-  // Allow explicit placement (tile coords or world coords) for curated spawns.
-  let s;
-  if (Number.isFinite(opts.x) && Number.isFinite(opts.y)) {
-    s = { x: opts.x, y: opts.y };
-  } else if (Number.isFinite(opts.tx) && Number.isFinite(opts.ty)) {
-    s = { x: (opts.tx + 0.5) * TILE, y: (opts.ty + 0.5) * TILE };
-  } else {
-    s = findSpawn(mapId, radius);
+function questOnItemGained(p, itemId) {
+  advanceQuests(p, (o) => o.type === "collect" && o.itemId === itemId, 0);
+}
+
+function grantQuestRewards(p, def) {
+  const r = def.rewards || {};
+  for (const it of r.items || []) {
+    const qty = it.qty ?? 1;
+    const before = countItemInInventory(p, it.id);
+    addItemToInventory(p, it.id, qty);
+    // Bag full: whatever didn't fit lands at the player's feet instead of vanishing.
+    const left = qty - (countItemInInventory(p, it.id) - before);
+    if (left > 0) spawnItemDrop(p.mapId, p.x, p.y, it.id, left);
+  }
+  if (Number.isFinite(r.gold) && r.gold > 0) {
+    p.gold += r.gold;
+    addItemToInventory(p, "coin", r.gold);
   }
+  if (Number.isFinite(r.xp) && r.xp > 0) awardXp(p, r.xp);
+}
 
-  mobs.set(id, {
-    id,
-    mapId,
-    x: s.x, y: s.y,
-    spawnTx: Number.isFinite(opts.tx) ? opts.tx : null,
-    spawnTy: Number.isFinite(opts.ty) ? opts.ty : null,
-    spawnX: Number.isFinite(opts.x) ? opts.x : null,
-    spawnY: Number.isFinite(opts.y) ? opts.y : null,
-    hp: opts.hp ?? (MOB_DEFS[mobType]?.maxHp ?? 30),
-    maxHp: opts.maxHp ?? (opts.hp ?? (MOB_DEFS[mobType]?.maxHp ?? 30)),
-    damage: opts.damage ?? (MOB_DEFS[mobType]?.damage ?? 10),
-	xp: opts.xp ?? (MOB_DEFS[mobType]?.xp ?? 12),
+// "none" (prereqs unmet), "available", "active", "ready" (objectives met, not handed in) or "done".
+function questStatus(p, questId) {
+  const def = QUESTS[questId];
+  if (!def) return "none";
+  const rec = getQuestRecord(p, questId);
+  if (!rec) return questPrereqsMet(p, def) ? "available" : "none";
+  if (rec.state === "active" && questIsReady(p, rec, def)) return "ready";
+  return rec.state;
+}
 
-    // Stats
-    speed: Number.isFinite(opts.speed) ? opts.speed : 100,
+function startQuest(p, questId) {
+  const def = QUESTS[questId];
+  if (!def || questStatus(p, questId) !== "available") return false;
+  p.quests[questId] = { state: "active", progress: def.objectives.map(() => 0) };
+  const ws = idToSocket.get(p.id);
+  if (ws) send(ws, { type: "questStarted", questId, name: def.name });
+  sendQuestLog(p);
+  return true;
+}
 
+function turnInQuest(p, questId) {
+  const def = QUESTS[questId];
+  if (!def || questStatus(p, questId) !== "ready") return false;
+  for (const o of def.objectives) {
+    if (o.type === "collect" && o.consume) removeItemFromInventory(p, o.itemId, o.count ?? 1);
+  }
+  getQuestRecord(p, questId).state = "done";
+  grantQuestRewards(p, def);
+  const ws = idToSocket.get(p.id);
+  if (ws) send(ws, { type: "questCompleted", questId, name: def.name, rewards: def.rewards || {} });
+  sendQuestLog(p);
+  return true;
+}
 
-    dirX: 0, dirY: 0,
-    changeDirIn: 0,
+// Quest handling for NPCs without a dialogue tree. Hand-ins first, then progress reminders,
+// then new offers. Returns true when the NPC said something quest-related.
+function handleQuestNpcInteract(p, ws, npc) {
+  const say = (text) => send(ws, { type: "dialogue", npcId: npc.id, npcName: npc.name || npc.id, text });
 
-    atkCd: 0,
-    respawnIn: 0,
-    lastHitBy: null,
+  for (const [questId, def] of Object.entries(QUESTS)) {
+    if ((def.turnIn || def.giver) !== npc.id || !turnInQuest(p, questId)) continue;
+    say(def.text?.complete || `Quest complete: ${def.name}!`);
+    return true;
+  }
 
-    // collision
-    radius,
+  for (const [questId, def] of Object.entries(QUESTS)) {
+    if (getQuestRecord(p, questId)?.state !== "active" || (def.turnIn || def.giver) !== npc.id) continue;
+    say(`${def.text?.progress || `${def.name}:`}\n${questProgressText(p, questId)}`);
+    return true;
+  }
 
-    // type + behavior
-    mobType,
-    passiveUntilHit: (typeof opts.passiveUntilHit === "boolean") ? opts.passiveUntilHit : !!(MOB_DEFS[mobType]?.passiveUntilHit),
-    aggroTargetId: null,
-    aggroUntil: 0,
+  for (const [questId, def] of Object.entries(QUESTS)) {
+    if (def.giver !== npc.id || !startQuest(p, questId)) continue;
+    say(`${def.text?.offer || `Quest started: ${def.name}!`}\n${questProgressText(p, questId)}`);
+    return true;
+  }
 
-    // Knockback tuning (per-mob, with overrides via MOB_DEFS / spawn opts)
-    knockbackThreshold: opts.knockbackThreshold ?? (MOB_DEFS[mobType]?.knockbackThreshold ?? BIG_KNOCKBACK_THRESHOLD),
-    knockbackDist: opts.knockbackDist ?? (MOB_DEFS[mobType]?.knockbackDist ?? BIG_KNOCKBACK_DIST),
+  return false;
+}
 
-    // Aggro tuning (can be overridden per mob type/spawn)
-    baseAggroRange: opts.baseAggroRange ?? MOB_BASE_AGGRO,
-    hitAggroRange:  opts.hitAggroRange  ?? MOB_HIT_AGGRO,
-    aggroDurationMs: opts.aggroDurationMs ?? MOB_HIT_AGGRO_MS,
+/* ======================
+   DIALOGUE
+   Per-NPC dialogue trees: { start, nodes: { nodeId: node } }. A map JSON npc entry may carry
+   its own `dialogue` tree, which wins over NPC_DIALOGUE.
+   node:   { text (string, or array picked at random), goto?, actions?, choices? }
+           goto:    [{ if, node }] - first matching rule redirects before the node is shown
+           actions: run when the node is entered
+   choice: { text, if?, actions?, next? } - no `next` ends the conversation
+   if:     { level, quest: { id, state }, item: { id, qty } } - every key given must hold;
+           quest state is one of questStatus() (or an array of them)
+   action: { startQuest } | { turnInQuest } | { giveItem: { id, qty } } | { openShop: shopId | true }
+           giveItem pays out once per player (p.dialogueGrants, persisted as players.dialogue_grants),
+           however often the node is re-entered or the choice picked
+   "{progress:questId}" in text expands to that quest's objective counts.
+   The client only ever sends a choice index; the server re-checks conditions and range.
+====================== */
+const NPC_DIALOGUE = {
+  npc_crystal: {
+    start: "root",
+    nodes: {
+      root: {
+        text: ["The crystal hums softly…", "Press E near portals to travel."],
+        choices: [{ text: "Leave it be." }],
+      },
+    },
+  },
 
-  // Movement tuning
-  speedMul: opts.speedMul ?? 0.65,           // base (wanders + chase)
-  aggroSpeedMul: opts.aggroSpeedMul ?? 1.0,  // extra multiplier while provoked
+  npc_girl: {
+    start: "root",
+    nodes: {
+      root: {
+        goto: [{ if: { quest: { id: "girl_look_around", state: "ready" } }, node: "tour_done" }],
+        text: ["Hi! Welcome 🙂", "Nice day for slime hunting!"],
+        choices: [
+          { text: "Any tips?", next: "tips" },
+          { text: "Can I help with anything?", if: { quest: { id: "girl_look_around", state: "available" } }, next: "tour_offer" },
+          { text: "Where was I going again?", if: { quest: { id: "girl_look_around", state: "active" } }, next: "tour_progress" },
+          { text: "Bye!" },
+        ],
+      },
+      tips: {
+        text: "Left-click to attack • I for inventory • Q for your quest log.",
+        choices: [{ text: "Thanks!", next: "root" }],
+      },
+      tour_offer: {
+        text: "New here? Take a walk west to the fields, then say hi to Jangoon for me!",
+        choices: [
+          { text: "Sure, I'll look around.", actions: [{ startQuest: "girl_look_around" }], next: "tour_accepted" },
+          { text: "Maybe later.", next: "root" },
+        ],
+      },
+      tour_accepted: {
+        text: "Yay! Come back and tell me what you saw.",
+        choices: [{ text: "Bye!" }],
+      },
+      tour_progress: {
+        text: "Don't forget:\n{progress:girl_look_around}",
+        choices: [{ text: "On my way.", next: "root" }],
+      },
+      tour_done: {
+        actions: [{ turnInQuest: "girl_look_around" }],
+        text: "See? Not so scary. Take these potions.",
+        choices: [{ text: "Thanks!" }],
+      },
+    },
+  },
 
-  // Anti-stuck helpers (server-only)
-  stuckForMs: 0,
-  nudgeUntilMs: 0,
-  nudgeSign: (Math.random() < 0.5 ? -1 : 1),
-});
-  return mobs.get(id);
+  npc_jangoon: {
+    start: "root",
+    nodes: {
+      root: {
+        goto: [
+          { if: { quest: { id: "jangoon_red_duke", state: "ready" } }, node: "duke_done" },
+          { if: { quest: { id: "jangoon_jelly_delivery", state: "ready" } }, node: "jelly_done" },
+        ],
+        text: ["…", "I have work for you, if you’re willing."],
+        choices: [
+          { text: "Any work for me?", if: { quest: { id: "jangoon_red_duke", state: "available" } }, next: "duke_offer" },
+          { text: "About those slimes…", if: { quest: { id: "jangoon_red_duke", state: "active" } }, next: "duke_progress" },
+          { text: "Need anything else?", if: { quest: { id: "jangoon_jelly_delivery", state: "available" } }, next: "jelly_offer" },
+          { text: "About the jelly…", if: { quest: { id: "jangoon_jelly_delivery", state: "active" } }, next: "jelly_progress" },
+          { text: "Nice hat.", if: { item: { id: "red_duke", qty: 1 } }, next: "hat" },
+          { text: "Let me see your wares.", actions: [{ openShop: "jangoon_goods" }] },
+          { text: "Goodbye." },
+        ],
+      },
+      duke_offer: {
+        text: "Green slimes are overrunning the fields. Clear out 10 of them and I'll make it worth your while.",
+        choices: [
+          { text: "I'll do it.", actions: [{ startQuest: "jangoon_red_duke" }], next: "accepted" },
+          { text: "Not now.", next: "root" },
+        ],
+      },
+      duke_progress: {
+        text: "Slime Cleanup progress:\n{progress:jangoon_red_duke}",
+        choices: [{ text: "I'll keep at it." }],
+      },
+      duke_done: {
+        actions: [{ turnInQuest: "jangoon_red_duke" }],
+        text: "Well done. Take this: Red Duke.",
+        choices: [{ text: "Thank you." }],
+      },
+      jelly_offer: {
+        text: "Bring me 5 Green Jelly. The slimes drop it.",
+        choices: [
+          { text: "Consider it done.", actions: [{ startQuest: "jangoon_jelly_delivery" }], next: "accepted" },
+          { text: "Not now.", next: "root" },
+        ],
+      },
+      jelly_progress: {
+        text: "Still waiting on that jelly:\n{progress:jangoon_jelly_delivery}",
+        choices: [{ text: "Working on it." }],
+      },
+      jelly_done: {
+        actions: [{ turnInQuest: "jangoon_jelly_delivery" }],
+        text: "Perfect, that'll keep the shop stocked. Here's your cut.",
+        choices: [{ text: "Pleasure doing business." }],
+      },
+      accepted: {
+        text: "Good. Come back when it's done.",
+        choices: [{ text: "Goodbye." }],
+      },
+      hat: {
+        text: "It suits you better than it ever suited me.",
+        choices: [{ text: "Heh.", next: "root" }],
+      },
+    },
+  },
+};
+
+const DIALOGUE_MAX_GOTO = 8; // guards against goto loops in authored trees
+const INTERACT_RANGE = 80;
+const DIALOGUE_RANGE = INTERACT_RANGE * 2; // a little slack so small steps don't end the conversation
+
+function dialogueTreeFor(npc) {
+  return npc?.dialogue || NPC_DIALOGUE[npc?.id] || null;
 }
 
-// Mobs per zone (difficulty ramp):
-//   Map C (starting map): green slimes (passive until hit)
-//   Map A (next): pink (top), orange (bottom)
-//   Map B (third): purple + rainbow
-//
-// NOTE: All spawns are curated tile positions for now; tweak freely.
+function dialogueCondMet(p, cond) {
+  if (!cond) return true;
+  if (Number.isFinite(cond.level) && (p.level ?? 1) < cond.level) return false;
+  if (cond.quest) {
+    const want = Array.isArray(cond.quest.state) ? cond.quest.state : [cond.quest.state];
+    if (!want.includes(questStatus(p, cond.quest.id))) return false;
+  }
+  if (cond.item && countItemInInventory(p, cond.item.id) < (cond.item.qty ?? 1)) return false;
+  return true;
+}
 
+function dialogueText(p, node) {
+  const raw = Array.isArray(node.text) ? node.text[Math.floor(Math.random() * node.text.length)] : (node.text || "...");
+  return String(raw).replace(/\{progress:([\w-]+)\}/g, (_, questId) => questProgressText(p, questId));
+}
 
-function initStaticEntitiesFromTemplates() {
-  // NPCs and curated mob spawns now live in maps_data.js templates.
-  // This makes the in-game editor export -> copy/paste workflow work for everything.
-  for (const [mapId, tmpl] of Object.entries(mapTemplates)) {
-    const npcList = tmpl.npcs || [];
-    for (const npc of npcList) {
-      spawnNpc({ ...npc, mapId: npc.mapId || mapId });
-    }
+// grantKey names where the actions come from ("npcId:nodeId" or "npcId:nodeId#choiceIndex").
+function runDialogueActions(p, ws, npc, actions, grantKey) {
+  (actions || []).forEach((a, i) => {
+    if (a.startQuest) startQuest(p, a.startQuest);
+    if (a.turnInQuest) turnInQuest(p, a.turnInQuest);
+    if (a.giveItem?.id && ITEMS[a.giveItem.id]) giveDialogueItem(p, `${grantKey}/${i}`, a.giveItem.id, a.giveItem.qty ?? 1);
+    if (a.openShop) openShop(p, ws, npc, typeof a.openShop === "string" ? a.openShop : null);
+  });
+}
 
-    // Mobs can be authored as `mobSpawns` (preferred) or legacy `mobs` from older editor exports.
-    const mobListRaw = tmpl.mobSpawns || tmpl.mobs || [];
-    const mobList = mobListRaw.map((s) => {
-      if (s && (s.mobType != null) && (Number.isFinite(s.tx) || Number.isFinite(s.x))) return s;
-      // normalize legacy {type,x,y} into {mobType,tx,ty}
-      const mobType = s && (s.mobType ?? s.type);
-      const tx = s && (Number.isFinite(s.tx) ? s.tx : (Number.isFinite(s.x) ? s.x : undefined));
-      const ty = s && (Number.isFinite(s.ty) ? s.ty : (Number.isFinite(s.y) ? s.y : undefined));
-      const out = {
-        ...(s && s.id ? { id: s.id } : {}),
-        ...(s && s.mapId ? { mapId: s.mapId } : {}),
-        mobType,
-        ...(Number.isFinite(tx) ? { tx } : {}),
-        ...(Number.isFinite(ty) ? { ty } : {}),
-      };
-      if (s && s.speedMul != null) out.speedMul = s.speedMul;
-      if (s && s.aggroSpeedMul != null) out.aggroSpeedMul = s.aggroSpeedMul;
-      if (s && s.passiveUntilHit != null) out.passiveUntilHit = s.passiveUntilHit;
-      return out;
-    });
-    for (let i = 0; i < mobList.length; i++) {
-      const s = mobList[i];
-      const id = s.id || `${mapId}_${s.mobType}_${i + 1}`;
-      spawnMob(id, s.mapId || mapId, {
-        mobType: s.mobType,
-        tx: s.tx,
-        ty: s.ty,
-        x: s.x,
-        y: s.y,
-        // optional tuning knobs
-        speedMul: s.speedMul,
-        aggroSpeedMul: s.aggroSpeedMul,
-        passiveUntilHit: s.passiveUntilHit,
-      });
+function giveDialogueItem(p, key, itemId, qty) {
+  p.dialogueGrants ||= {};
+  if (p.dialogueGrants[key]) return;
+  p.dialogueGrants[key] = true;
+  const before = countItemInInventory(p, itemId);
+  addItemToInventory(p, itemId, qty);
+  // Bag full: whatever didn't fit lands at the player's feet, as with quest rewards.
+  const left = qty - (countItemInInventory(p, itemId) - before);
+  if (left > 0) spawnItemDrop(p.mapId, p.x, p.y, itemId, left);
+}
 
-      const m = mobs.get(id);
-      if (m) {
-        // Remember spawn point so respawn returns the mob to its curated spot.
-        if (Number.isFinite(s.tx) && Number.isFinite(s.ty)) {
-          m.spawnTx = s.tx; m.spawnTy = s.ty;
-        } else if (Number.isFinite(s.x) && Number.isFinite(s.y)) {
-          m.spawnX = s.x; m.spawnY = s.y;
-        }
-      }
-    }
+// Enter a node (following goto rules), run its actions and show it. Choices the player can't
+// pick right now are left out; their indices refer to the node's full choice list.
+function showDialogueNode(p, ws, npc, nodeId) {
+  const tree = dialogueTreeFor(npc);
+  let node = tree?.nodes?.[nodeId];
+  for (let hops = 0; node?.goto && hops < DIALOGUE_MAX_GOTO; hops++) {
+    const rule = node.goto.find((g) => tree.nodes[g.node] && dialogueCondMet(p, g.if));
+    if (!rule) break;
+    nodeId = rule.node;
+    node = tree.nodes[nodeId];
+  }
+  if (!node) {
+    endDialogue(p, ws);
+    return;
   }
+
+  p.dialogue = { npcId: npc.id, nodeId };
+  runDialogueActions(p, ws, npc, node.actions, `${npc.id}:${nodeId}`);
+
+  const choices = [];
+  (node.choices || []).forEach((c, index) => {
+    if (dialogueCondMet(p, c.if)) choices.push({ index, text: c.text });
+  });
+  send(ws, { type: "dialogue", npcId: npc.id, npcName: npc.name || npc.id, nodeId, text: dialogueText(p, node), choices });
 }
 
-initStaticEntitiesFromTemplates();
+function endDialogue(p, ws) {
+  p.dialogue = null;
+  send(ws, { type: "dialogueEnd" });
+}
 
-// Basic attack input lock (server-authoritative)
-// - Freezes movement briefly when a basic attack is accepted
-// - Locks facing direction to the attack direction for the same window
-// NOTE: This should generally match the basic attack animation window (p.atkAnim)
-// so movement + facing remain locked for the full swing.
-const BASE_BASIC_SWING_SEC = 0.60;
-const FLAT_ATTACK_LOCKOUT_SEC = 0.20;// minimum extra delay after a swing finishes before another attack can be accepted
-// Shared basic-attack handler so we can trigger attacks both from explicit client clicks
-// and from server-side "hold-to-attack" repeat.
-// Knockback multiplier from the equipped weapon (lets some weapons shove harder).
-// Defaults: spears = 1.5x, everything else = 1.0x.
-function getPlayerWeaponKnockbackMul(p) {
-  const wid = p?.equipment?.weapon;
-  const def = wid ? ITEMS[wid] : null;
-  const raw = Number(def?.knockbackMul);
-  if (Number.isFinite(raw) && raw > 0) return raw;
+/* ======================
+   SHOPS
+   shopId -> { name, buy: [{ id, price }], sell: { itemId: price } }. Items missing from `sell`
+   can't be sold there. An NPC gets a shop from its map JSON `shop` field (a SHOPS id or an
+   inline shop object) or from a dialogue `openShop` action.
+   Sold stacks go on a short per-player buyback list, weapon roll and all, and can be bought
+   back for what they sold for.
+====================== */
+const SHOPS = {
+  jangoon_goods: {
+    name: "Jangoon's Goods",
+    buy: [
+      { id: "potion_small", price: 20 },
+      { id: "potion_green", price: 60 },
+      { id: "potion_purple", price: 300 },
+      { id: "training_sword", price: 150 },
+      { id: "training_spear", price: 150 },
+      { id: "training_wand", price: 150 },
+      { id: "cloth_hat", price: 80 },
+      { id: "cloth_armor", price: 120 },
+    ],
+    sell: {
+      green_jelly: 4, orange_jelly: 6, pink_jelly: 8, purple_jelly: 12, rainbow_jelly: 40, orange_flan: 10,
+      potion_small: 8, potion_green: 25, potion_purple: 120,
+      training_sword: 50, training_spear: 50, training_wand: 50,
+      branch_sword: 20, bone_sword: 90, bone_wand: 90,
+      fang_spear: 120, candy_cane_spear: 120, blue_umbrella_spear: 150, trident_spear: 200,
+      cloth_hat: 30, cloth_armor: 45, charger_helmet: 80, charger_suit: 100,
+    },
+  },
+};
 
-  const k = def?.weaponKey || null;
-  if (k === "spear") return 1.5;
-  return 1.0;
+const SHOP_BUYBACK_MAX = 8;
+const SHOP_RANGE = DIALOGUE_RANGE;
+
+function openShop(p, ws, npc, shopId = null) {
+  const shop = shopId ? SHOPS[shopId] : (typeof npc.shop === "string" ? SHOPS[npc.shop] : npc.shop);
+  if (!shop) return false;
+  p.shop = { npcId: npc.id, shop };
+  send(ws, {
+    type: "shopOpen",
+    npcId: npc.id,
+    name: shop.name || npc.name || npc.id,
+    buy: (shop.buy || []).filter((e) => ITEMS[e.id]),
+    sell: shop.sell || {},
+    buyback: p.shopBuyback || [],
+    gold: p.gold,
+  });
+  return true;
 }
 
-function attemptBasicAttack(ws, p, msg, nowMs = Date.now()) {
-  if (!p) return false;
-  if (p.hp <= 0 || p.respawnIn > 0) return false;
+// The shop the player has open, or null once they've walked off / died / changed maps.
+function activeShop(p) {
+  const npc = p.shop ? npcs.get(p.shop.npcId) : null;
+  if (!npc || p.hp <= 0 || p.respawnIn > 0 || npc.mapId !== p.mapId || dist(p.x, p.y, npc.x, npc.y) > SHOP_RANGE) {
+    p.shop = null;
+    return null;
+  }
+  return p.shop.shop;
+}
 
-  // Respect server-authoritative lock window
-  if (nowMs < (p.basicAtkLockUntilMs || 0)) return false;
-  if (p.atkCd > 0) return false;
+// addItemToInventory() can stop half way through; roll the bag back so a failed purchase costs nothing.
+function addItemToInventoryAll(p, itemId, qty, weaponBonus = null) {
+  const slots = p.inventory.slots;
+  const before = slots.map((s) => (s ? { ...s } : null));
+  if (addItemToInventory(p, itemId, qty, weaponBonus)) return true;
+  slots.splice(0, slots.length, ...before);
+  return false;
+}
 
-  // Require an equipped weapon to attack
-  const equippedWeaponId = p.equipment?.weapon;
-  const equippedDef = equippedWeaponId ? ITEMS[equippedWeaponId] : null;
-  const weaponKey = equippedDef?.weaponKey || null;
-  if (!weaponKey) return false;
+// Gold lives in p.gold and is mirrored as coin stacks in the bag (see pickups), so move both.
+function spendGold(p, amount) {
+  p.gold -= amount;
+  removeItemFromInventory(p, "coin", amount);
+}
 
-  const baseAtk = getPlayerAttack(p);
+function earnGold(p, amount) {
+  p.gold += amount;
+  addItemToInventory(p, "coin", amount);
+}
 
-  // Skill 1 can only be fired through a wand projectile. If the player attacks with anything else,
-  // drop any primed state so they must press 1 again.
-  if (weaponKey !== "wand" && p.skill1Primed) p.skill1Primed = false;
+function sendShopUpdate(ws, p, message) {
+  send(ws, { type: "shopUpdate", gold: p.gold, buyback: p.shopBuyback || [], message });
+}
 
-  // shared animation time (client uses this for sword/spear/wand “active”)
-  // (seconds)
-  const weaponSpeed = Math.max(0.05, Number(equippedDef?.weaponSpeed) || 1);
-  const swingSec = Math.max(0.05, (Number(BASE_BASIC_SWING_SEC) || 0.5) / weaponSpeed);
-  p.atkAnim = swingSec;
-  // Default attack kind is a normal/basic swing (no special visuals)
-  p.atkKind = null;
+/* ======================
+   TRADES
+   tradeRequest -> tradeRespond (accept) opens a trade. Each side sets its offer (bag slots +
+   gold) with tradeOffer, then tradeLock, then tradeConfirm once both are locked. Changing an
+   offer clears both locks. The swap runs on copies of both bags and only lands if every item
+   fits, so it either happens completely or not at all.
+   A trade is cancelled when either side leaves the map, dies or disconnects.
+====================== */
+const TRADE_RANGE = 200;
+const TRADE_INVITE_MS = 20_000;
+const TRADE_MAX_SLOTS = 8;
 
-  // weapon cooldowns (anti-spam)
-  // NOTE: This is the *authoritative* lockout.
-  // swingSec already computed above from BASE_BASIC_SWING_SEC / weaponSpeed
-  // Cooldown is tied to the weapon swing animation so the player can re-attack
-  // as soon as the animation finishes (and after any lock window).
-  p.atkCd = swingSec + FLAT_ATTACK_LOCKOUT_SEC;
+const trades = new Map(); // tradeId -> { id, mapId, ids: [a, b], offers: { [pid]: { items, gold } }, locked, confirmed }
+let nextTradeId = 1;
 
-  // Freeze + facing lock window
-  p.basicAtkLockUntilMs = nowMs + Math.round(swingSec * 1000);
+function tradePartnerId(trade, pid) {
+  return trade.ids[0] === pid ? trade.ids[1] : trade.ids[0];
+}
 
-  // Optional aim from client.
-  // We prefer aimDirX/aimDirY when provided because they are derived from the player's
-  // on-screen position and are not affected by camera smoothing lag.
-  const aimDirX = Number(msg?.aimDirX);
-  const aimDirY = Number(msg?.aimDirY);
-  const hasAimDir = Number.isFinite(aimDirX) && Number.isFinite(aimDirY) && (Math.abs(aimDirX) + Math.abs(aimDirY) > 1e-6);
+function tradeOfferView(offer) {
+  return { items: offer.items.map(({ slotIndex, id, qty, weaponBonus }) => ({ slotIndex, id, qty, weaponBonus })), gold: offer.gold };
+}
 
-  const aimX = Number(msg?.aimX);
-  const aimY = Number(msg?.aimY);
-  const hasAim = Number.isFinite(aimX) && Number.isFinite(aimY);
+function sendTradeState(trade) {
+  for (const pid of trade.ids) {
+    const other = tradePartnerId(trade, pid);
+    const ws = idToSocket.get(pid);
+    if (!ws) continue;
+    send(ws, {
+      type: "tradeState",
+      tradeId: trade.id,
+      you: { ...tradeOfferView(trade.offers[pid]), locked: trade.locked[pid], confirmed: trade.confirmed[pid] },
+      them: { ...tradeOfferView(trade.offers[other]), locked: trade.locked[other], confirmed: trade.confirmed[other] },
+    });
+  }
+}
 
-  if (hasAimDir) {
-    const dx = aimDirX;
-    const dy = aimDirY;
-    const ax = Math.abs(dx);
-    const ay = Math.abs(dy);
+function cancelTrade(trade, reason) {
+  trades.delete(trade.id);
+  for (const pid of trade.ids) {
+    const p = players.get(pid);
+    if (p && p.tradeId === trade.id) p.tradeId = null;
+    const ws = idToSocket.get(pid);
+    if (ws) send(ws, { type: "tradeCancelled", reason });
+  }
+}
 
-    if (weaponKey === "wand") {
-      const f = norm({ x: dx, y: dy });
-      p.facing = f;
-    } else {
-      if (ax > ay) p.facing = { x: dx >= 0 ? 1 : -1, y: 0 };
-      else if (ay > 0) p.facing = { x: 0, y: dy >= 0 ? 1 : -1 };
-    }
-  } else if (hasAim) {
-    const dx = aimX - p.x;
-    const dy = aimY - p.y;
-    const ax = Math.abs(dx);
-    const ay = Math.abs(dy);
+function cancelTradeFor(p, reason) {
+  const trade = p?.tradeId ? trades.get(p.tradeId) : null;
+  if (trade) cancelTrade(trade, reason);
+}
 
-    if (weaponKey === "wand") {
-      const f = norm({ x: dx, y: dy });
-      if (Math.abs(f.x) + Math.abs(f.y) > 0) p.facing = f;
-    } else {
-      if (ax > ay) p.facing = { x: dx >= 0 ? 1 : -1, y: 0 };
-      else if (ay > 0) p.facing = { x: 0, y: dy >= 0 ? 1 : -1 };
-    }
+function canTrade(p) {
+  return !!p && p.charLoaded && p.hp > 0 && !(p.respawnIn > 0);
+}
+
+// Offered stacks must still sit in the same bag slot, unchanged, when the trade goes through.
+function tradeOfferStillValid(p, offer) {
+  if (p.gold < offer.gold) return false;
+  return offer.items.every((it) => {
+    const s = p.inventory.slots[it.slotIndex];
+    return s && s.id === it.id && (s.qty ?? 1) === it.qty && (s.weaponBonus ?? null) === (it.weaponBonus ?? null);
+  });
+}
+
+// Build `p`'s bag after the swap, or null if the incoming items don't fit.
+function tradeResultSlots(p, giving, receiving) {
+  const temp = { inventory: { slots: p.inventory.slots.map((s) => (s ? { ...s } : null)) } };
+  for (const it of giving.items) temp.inventory.slots[it.slotIndex] = null;
+  removeItemFromInventory(temp, "coin", giving.gold);
+  for (const it of receiving.items) {
+    if (!addItemToInventory(temp, it.id, it.qty, Number.isFinite(it.weaponBonus) ? it.weaponBonus : null)) return null;
   }
+  if (receiving.gold > 0) addItemToInventory(temp, "coin", receiving.gold); // coin stacks mirror p.gold; best effort like pickups
+  return temp.inventory.slots;
+}
 
-  // Cache a discrete attack direction for clients (used for rendering during atkAnim and lock window).
-  // This prevents the weapon sprite from snapping to the movement direction mid-swing.
-  {
-    const fx = p.facing?.x ?? 0;
-    const fy = p.facing?.y ?? 0;
-    const ax = Math.abs(fx);
-    const ay = Math.abs(fy);
-    if (ax > ay) p.atkDir = (fx >= 0 ? "right" : "left");
-    else if (ay > 0) p.atkDir = (fy >= 0 ? "down" : "up");
-    // else keep previous
+function executeTrade(trade) {
+  const [a, b] = trade.ids.map((pid) => players.get(pid));
+  const offerA = trade.offers[a.id];
+  const offerB = trade.offers[b.id];
+  if (!tradeOfferStillValid(a, offerA) || !tradeOfferStillValid(b, offerB)) {
+    cancelTrade(trade, "An offered item changed.");
+    return;
   }
 
-  // === BEGIN original basic-attack resolution ===
-  // SWORD: wide slash hitbox
-  if (weaponKey === "sword") {
-    // Basic attacks normally hit 1 target; mastery can raise p.basicHitCap to 2/3/4...
-    const hitCap = Math.max(1, p.basicHitCap ?? 1);
+  const slotsA = tradeResultSlots(a, offerA, offerB);
+  const slotsB = tradeResultSlots(b, offerB, offerA);
+  if (!slotsA || !slotsB) {
+    cancelTrade(trade, `${!slotsA ? a.name : b.name} doesn't have room.`);
+    return;
+  }
 
-    const candidates = [];
-    for (const m of mobs.values()) {
-      if (m.mapId !== p.mapId) continue;
-      if (m.respawnIn > 0) continue;
-      if (m.hp <= 0) continue;
+  a.inventory.slots.splice(0, a.inventory.slots.length, ...slotsA);
+  b.inventory.slots.splice(0, b.inventory.slots.length, ...slotsB);
+  a.gold += offerB.gold - offerA.gold;
+  b.gold += offerA.gold - offerB.gold;
+
+  trades.delete(trade.id);
+  for (const p of [a, b]) {
+    p.tradeId = null;
+    const ws = idToSocket.get(p.id);
+    if (ws) send(ws, { type: "tradeCompleted" });
+    // Save both sides right away so a crash can't leave the swap half-persisted.
+    dbSavePlayer(p).catch((err) => {
+      console.error("⚠️ Trade save failed:", err?.message || err);
+    });
+  }
+}
 
-      if (swordHitTest(p, m)) {
-        candidates.push(m);
-      }
+function updateTrades() {
+  for (const trade of trades.values()) {
+    for (const pid of trade.ids) {
+      const p = players.get(pid);
+      if (!p || !idToSocket.get(pid)) { cancelTrade(trade, "Your trade partner disconnected."); break; }
+      if (p.mapId !== trade.mapId) { cancelTrade(trade, `${p.name} left the map.`); break; }
+      if (!canTrade(p)) { cancelTrade(trade, `${p.name} was knocked out.`); break; }
     }
+  }
+}
 
-    // closest first, then hit up to cap
-    candidates.sort((a, b) => dist(p.x, p.y, a.x, a.y) - dist(p.x, p.y, b.x, b.y));
+/* ======================
+   PARTIES
+   Up to PARTY_MAX players with a leader. The leader invites (a player without a party
+   starts one by inviting); anyone can leave, the leader can kick. Kills split XP evenly
+   between members on the killer's map within PARTY_SHARE_RANGE, and every one of them gets
+   quest kill credit. Members see each other's HP through the snapshot's selfParty.
+====================== */
+const PARTY_MAX = 6;
+const PARTY_INVITE_MS = 30_000;
+const PARTY_SHARE_RANGE = 640;
 
-    let hits = 0;
-    for (const m of candidates) {
-      if (hits >= hitCap) break;
-      // Use inclusive roll helper (and avoid relying on randInt being present in older builds)
-      const dmg = randIntInclusive(baseAtk - 2, baseAtk + 2);
-      m.hp -= dmg;
-      m.lastHitBy = p.id;
+const parties = new Map(); // partyId -> { id, leaderId, memberIds: [] }
+let nextPartyId = 1;
 
-      // Big knockback if this single hit is strong enough.
-      maybeBigKnockback(m, p.x, p.y, dmg, getPlayerWeaponKnockbackMul(p));
-// Basic attacks should provoke aggro.
-      setMobAggro(m, p.id);
-
-      broadcastToMap(p.mapId, {
-        type: "hit",
-        targetId: m.id,
-        targetKind: "mob",
-        srcX: p.x,
-        srcY: p.y,
-        amount: dmg,
-        fx: "slash",
-      });
-
-      if (m.hp <= 0) {
-        killMobAndReward(m, p.id);
-      }
-      hits++;
-    }
+function getParty(p) {
+  return p?.partyId ? parties.get(p.partyId) || null : null;
+}
 
-    return true;
+function partyNotice(party, text) {
+  for (const pid of party.memberIds) {
+    const ws = idToSocket.get(pid);
+    if (ws) send(ws, { type: "partyNotice", text });
   }
+}
 
-  // SPEAR: thrust hitbox
-  if (weaponKey === "spear") {
-    // Spear thrust: delay the actual hit so damage lines up with the poke extension.
-    // This prevents mobs from taking damage before the spear visually reaches them.
-    const SPEAR_HIT_FRACTION = 0.55; // ~halfway through the thrust feels best in practice.
-    const hitCap = Math.max(1, p.basicHitCap ?? 1);
-
-    // Snapshot the attacker origin + facing at the start of the animation.
-    const sx = p.x;
-    const sy = p.y;
-    const sfacing = { ...(p.facing || { x: 0, y: 1 }) };
-    const mapIdAtAttack = p.mapId;
-
-    // Monotonic token so delayed hits from older attacks can’t fire.
-    const seq = (p.basicAtkSeq = (p.basicAtkSeq || 0) + 1);
+// Per-player view for the snapshot (null when not in a party).
+function partyView(p) {
+  const party = getParty(p);
+  if (!party) return null;
+  return {
+    id: party.id,
+    leaderId: party.leaderId,
+    members: party.memberIds.map((pid) => {
+      const m = players.get(pid);
+      return { id: pid, name: m?.name || "?", level: m?.level ?? 1, hp: m?.hp ?? 0, maxHp: m?.maxHp ?? 1, mapId: m?.mapId ?? null };
+    }),
+  };
+}
 
-    const doSpearHits = () => {
-      const snapP = { x: sx, y: sy, facing: sfacing };
+function removeFromParty(p, notice) {
+  const party = getParty(p);
+  p.partyId = null;
+  if (!party) return;
+  party.memberIds = party.memberIds.filter((pid) => pid !== p.id);
+  if (party.memberIds.length <= 1) {
+    // A party of one is no party: release the last member too.
+    for (const pid of party.memberIds) {
+      const m = players.get(pid);
+      if (m) m.partyId = null;
+      const ws = idToSocket.get(pid);
+      if (ws) send(ws, { type: "partyNotice", text: `${notice} The party was disbanded.` });
+    }
+    parties.delete(party.id);
+    return;
+  }
+  if (party.leaderId === p.id) {
+    party.leaderId = party.memberIds[0];
+    notice += ` ${players.get(party.leaderId)?.name || "Someone"} is now the leader.`;
+  }
+  partyNotice(party, notice);
+}
 
-      const candidates = [];
-      for (const m of mobs.values()) {
-        if (m.mapId !== mapIdAtAttack) continue;
-        if (m.respawnIn > 0) continue;
-        if (m.hp <= 0) continue;
+// Players who share a kill made by `killer` (always includes the killer).
+function partyKillShare(killer, m) {
+  const party = getParty(killer);
+  if (!party) return [killer];
+  return party.memberIds
+    .map((pid) => players.get(pid))
+    .filter((q) => q && (q === killer || (q.mapId === m.mapId && q.hp > 0 && !(q.respawnIn > 0) &&
+      dist(q.x, q.y, m.x, m.y) <= PARTY_SHARE_RANGE)));
+}
 
-        if (spearHitTest(snapP, m)) {
-          candidates.push(m);
-        }
-      }
+/* ======================
+   DUELS
+   Opt-in PvP: duelRequest -> duelRespond (accept) starts a short countdown, then the two
+   players are valid targets for each other's attacks and skills (and nobody else's).
+   The opponent's damage (hits and their status effect ticks) never takes a duelist below
+   1 HP; reaching 1 HP loses the duel, so the real death / respawnIn path never runs. Leaving the map, dying to a mob or disconnecting
+   ends the duel without a winner.
+====================== */
+const DUEL_RANGE = 300;
+const DUEL_INVITE_MS = 20_000;
+const DUEL_COUNTDOWN_MS = 3000;
+
+const duels = new Map(); // duelId -> { id, mapId, ids: [a, b], startsAtMs }
+let nextDuelId = 1;
+
+// The player `p` may currently hit (null outside a running duel).
+function duelFoe(p) {
+  const duel = p?.duelId ? duels.get(p.duelId) : null;
+  if (!duel || Date.now() < duel.startsAtMs) return null;
+  const foe = players.get(duel.ids[0] === p.id ? duel.ids[1] : duel.ids[0]);
+  if (!foe || foe.mapId !== p.mapId || foe.hp <= 0 || foe.respawnIn > 0 || isHeldForReconnect(foe)) return null;
+  return foe;
+}
 
-      // closest first, then hit up to cap
-      candidates.sort((a, b) => dist(sx, sy, a.x, a.y) - dist(sx, sy, b.x, b.y));
+function endDuel(duel, { winner = null, loser = null, reason }) {
+  duels.delete(duel.id);
+  for (const pid of duel.ids) {
+    const q = players.get(pid);
+    if (q && q.duelId === duel.id) q.duelId = null;
+    const ws = idToSocket.get(pid);
+    if (ws) {
+      send(ws, {
+        type: "duelEnd",
+        winnerId: winner?.id || null,
+        winner: winner?.name || null,
+        loserId: loser?.id || null,
+        loser: loser?.name || null,
+        reason,
+      });
+    }
+  }
+}
 
-      let hits = 0;
-      for (const m of candidates) {
-        if (hits >= hitCap) break;
+function endDuelFor(p, reason) {
+  const duel = p?.duelId ? duels.get(p.duelId) : null;
+  if (duel) endDuel(duel, { reason });
+}
 
-        const dmg = randIntInclusive(baseAtk - 2, baseAtk + 2);
-        m.hp -= dmg;
-        m.lastHitBy = p.id;
+// Apply a duel hit from `attacker` to `foe` and broadcast it like any other hit.
+function hitDuelFoe(attacker, foe, dmg, srcX, srcY, fx) {
+  foe.hp = Math.max(1, foe.hp - dmg);
+  broadcastToMap(foe.mapId, {
+    type: "hit",
+    targetId: foe.id,
+    targetKind: "player",
+    srcX,
+    srcY,
+    amount: dmg,
+    fx,
+  });
+  if (foe.hp <= 1) {
+    const duel = duels.get(foe.duelId);
+    if (duel) endDuel(duel, { winner: attacker, loser: foe, reason: `${attacker.name} won the duel!` });
+  }
+}
 
-        maybeBigKnockback(m, sx, sy, dmg, getPlayerWeaponKnockbackMul(p));
-        setMobAggro(m, p.id);
+function updateDuels() {
+  for (const duel of duels.values()) {
+    for (const pid of duel.ids) {
+      const q = players.get(pid);
+      if (!q || !idToSocket.get(pid)) { endDuel(duel, { reason: "Your opponent disconnected." }); break; }
+      if (q.mapId !== duel.mapId) { endDuel(duel, { reason: `${q.name} left the map.` }); break; }
+      if (q.hp <= 0 || q.respawnIn > 0) { endDuel(duel, { reason: `${q.name} was knocked out.` }); break; }
+    }
+  }
+}
 
-        broadcastToMap(mapIdAtAttack, {
-          type: "hit",
-          targetId: m.id,
-          targetKind: "mob",
-          srcX: sx,
-          srcY: sy,
-          amount: dmg,
-          fx: "stab",
-        });
+function randomDir() {
+  const dirs = [
+    [ 1, 0], [-1, 0], [0, 1], [0,-1],
+    [ 1, 1], [ 1,-1], [-1, 1], [-1,-1],
+    [ 0, 0]
+  ];
+  const [dx, dy] = dirs[Math.floor(Math.random() * dirs.length)];
+  const len = Math.hypot(dx, dy) || 1;
+  return [dx / len, dy / len];
+}
 
-        if (m.hp <= 0) {
-          killMobAndReward(m, p.id);
-        }
-        hits++;
-      }
+/* ======================
+   STATUS EFFECTS
+   Timed effects on players and mobs: e.effects[id] = { untilMs, stacks, nextTickMs, sourceId }.
+   stacking "refresh" keeps one copy and takes the longer duration; "stack" also adds a stack
+   (up to maxStacks) and the tick damage/heal is multiplied by stacks. speedMul scales movement;
+   stun stops movement, attacks and skills. Anything can apply one through applyStatusEffect():
+   skills (SKILL_REGISTRY onHitEffect), weapons (ITEMS onHitEffect), consumables (onUse) and
+   mob bites (MOB_DEFS onHitEffect). A spec is an id or { id, durationMs?, stacks? }.
+====================== */
+const STATUS_EFFECTS = {
+  poison: { name: "Poison", debuff: true, stacking: "stack", maxStacks: 5, durationMs: 5000, tickMs: 1000, damage: 2 },
+  burn:   { name: "Burn",   debuff: true, stacking: "refresh", durationMs: 3000, tickMs: 500, damage: 3 },
+  slow:   { name: "Slow",   debuff: true, stacking: "refresh", durationMs: 2500, speedMul: 0.55 },
+  stun:   { name: "Stun",   debuff: true, stacking: "refresh", durationMs: 800, stun: true },
+  regen:  { name: "Regen",  stacking: "refresh", durationMs: 6000, tickMs: 1000, heal: 4 },
+  haste:  { name: "Haste",  stacking: "refresh", durationMs: 8000, speedMul: 1.3 },
+};
+const STATUS_EFFECT_MAX_MS = 60_000;
+
+function applyStatusEffect(e, spec, sourceId = null, nowMs = Date.now()) {
+  const id = (typeof spec === "string") ? spec : spec?.id;
+  const def = STATUS_EFFECTS[id];
+  if (!e || !def || e.hp <= 0 || e.respawnIn > 0) return false;
+
+  const durationMs = Math.min(STATUS_EFFECT_MAX_MS, Math.max(1, Number(spec?.durationMs) || def.durationMs));
+  const addStacks = (def.stacking === "stack") ? Math.max(1, Math.floor(Number(spec?.stacks) || 1)) : 0;
+  if (!e.effects) e.effects = {};
+
+  const cur = e.effects[id];
+  if (cur && cur.untilMs > nowMs) {
+    cur.untilMs = Math.max(cur.untilMs, nowMs + durationMs);
+    cur.stacks = Math.min(def.maxStacks || 1, cur.stacks + addStacks);
+    if (sourceId) cur.sourceId = sourceId;
+  } else {
+    e.effects[id] = {
+      untilMs: nowMs + durationMs,
+      stacks: Math.max(1, Math.min(def.maxStacks || 1, addStacks)),
+      nextTickMs: def.tickMs ? nowMs + def.tickMs : 0,
+      sourceId,
     };
+  }
+  return true;
+}
 
-    const delayMs = Math.max(0, Math.round(swingSec * 1000 * SPEAR_HIT_FRACTION));
-
-    if (delayMs > 0) {
-      setTimeout(() => {
-        // Player may have disconnected, died, respawned, changed maps, etc.
-        if (!players.has(p.id)) return;
-        if ((p.basicAtkSeq || 0) !== seq) return;
-        if (p.hp <= 0 || p.respawnIn > 0) return;
-        if (p.mapId !== mapIdAtAttack) return;
-
-        doSpearHits();
-      }, delayMs);
-    } else {
-      doSpearHits();
-    }
+function clearStatusEffects(e) {
+  if (e) e.effects = {};
+}
 
-    return true;
+function isStunned(e, nowMs = Date.now()) {
+  for (const [id, fx] of Object.entries(e?.effects || {})) {
+    if (STATUS_EFFECTS[id]?.stun && fx.untilMs > nowMs) return true;
   }
+  return false;
+}
 
-  // WAND: projectile
-  if (weaponKey === "wand") {
-    // Skill 1 is a primed wand shot that creates a whirlpool on mob-hit.
-    // We only allow it if the skill isn't on cooldown at the moment of firing.
-    const cdUntil = p.skill1CdUntilMs || 0;
-    const wantsSkill1 = !!p.skill1Primed && nowMs >= cdUntil;
-    // Consume the primed state on the first wand shot after pressing 1.
-    // If this projectile misses, cooldown will NOT start (only starts on hit when whirlpool begins).
-    if (p.skill1Primed) p.skill1Primed = false;
-
-    const speed = 520;
-    const lifeMs = 650;
-    const f = norm({ x: p.facing.x, y: p.facing.y });
+// Product of every active effect's speedMul (1 with none).
+function statusSpeedMul(e, nowMs = Date.now()) {
+  let mul = 1;
+  for (const [id, fx] of Object.entries(e?.effects || {})) {
+    const m = STATUS_EFFECTS[id]?.speedMul;
+    if (m && fx.untilMs > nowMs) mul *= m;
+  }
+  return mul;
+}
 
-    // Spawn slightly offset so the bolt originates closer to the wand/hand.
-    let startX = p.x;
-    let startY = p.y;
-    const atkDir = p.atkDir || "down";
-    if (atkDir === "right") {
-      startX += -15;
-      startY += 0;
-    } else if (atkDir === "left") {
-      startX -= 15;
-      startY += 0;
-    } else if (atkDir === "down") {
-      startX += -15;
-      startY += 12;
-    } else if (atkDir === "up") {
-      startX += 10;
-      startY -= 18;
+// Runs due damage/heal ticks and drops expired effects. kind: "player" | "mob".
+function tickStatusEffects(e, kind, nowMs) {
+  const effects = e.effects;
+  if (!effects) return;
+  for (const [id, fx] of Object.entries(effects)) {
+    const def = STATUS_EFFECTS[id];
+    while (def?.tickMs && fx.nextTickMs <= Math.min(nowMs, fx.untilMs)) {
+      fx.nextTickMs += def.tickMs;
+      statusEffectTick(e, kind, id, def, fx);
+      if (e.hp <= 0 || e.respawnIn > 0) return;
     }
-
-    spawnProjectile({
-      mapId: p.mapId,
-      ownerId: p.id,
-      x: startX,
-      y: startY,
-      vx: f.x * speed,
-      vy: f.y * speed,
-      rad: 5,
-      damage: Math.max(1, Math.floor(baseAtk * 0.75)),
-      lifeMs,
-      sprite: wantsSkill1 ? "skill1_projectile" : "wand_projectile",
-      skill1: wantsSkill1,
-      knockbackMul: getPlayerWeaponKnockbackMul(p)
-    });
-
-    return true;
+    if (!def || nowMs >= fx.untilMs) delete effects[id];
   }
-
-  return true;
 }
 
-
-function respawnMob(m) {
-  // Prefer curated spawn points (if provided in maps_data.js mobSpawns)
-  let s;
-  if (Number.isFinite(m.spawnX) && Number.isFinite(m.spawnY)) {
-    s = { x: m.spawnX, y: m.spawnY };
-  } else if (Number.isFinite(m.spawnTx) && Number.isFinite(m.spawnTy)) {
-    s = { x: (m.spawnTx + 0.5) * TILE, y: (m.spawnTy + 0.5) * TILE };
+function statusEffectTick(e, kind, id, def, fx) {
+  if (def.heal) {
+    const amount = def.heal * fx.stacks;
+    e.hp = Math.min(e.maxHp, e.hp + amount);
+    if (kind === "player") broadcastToMap(e.mapId, { type: "heal", targetId: e.id, amount, srcX: e.x, srcY: e.y });
+    return;
+  }
+  if (!def.damage) return;
+  if (kind === "player" && isHeldForReconnect(e)) return; // can't act, so can't be worn down either
+
+  // Tick damage skips defense. Ticks from the duel opponent stop at 1 HP and win them the duel,
+  // like their hits (see hitDuelFoe); anything else (a mob's poison) hurts as usual.
+  const amount = def.damage * fx.stacks;
+  const duel = (kind === "player" && e.duelId) ? duels.get(e.duelId) : null;
+  const foe = (duel && fx.sourceId !== e.id && duel.ids.includes(fx.sourceId)) ? players.get(fx.sourceId) : null;
+  if (kind === "mob" && players.has(fx.sourceId)) creditMobDamage(e, fx.sourceId, amount);
+  e.hp = Math.max(foe ? 1 : 0, e.hp - amount);
+  broadcastToMap(e.mapId, { type: "hit", targetId: e.id, targetKind: kind, srcX: e.x, srcY: e.y, amount, fx: id });
+
+  if (foe && e.hp <= 1) {
+    endDuel(duel, { winner: foe, loser: e, reason: `${foe.name} won the duel!` });
+    return;
+  }
+  if (e.hp > 0) return;
+  if (kind === "mob") {
+    killMobAndReward(e, players.has(fx.sourceId) ? fx.sourceId : null);
   } else {
-    s = findSpawn(m.mapId, m.radius ?? MOB_RADIUS);
+    killPlayer(e);
   }
-  m.x = s.x; m.y = s.y;
-  m.hp = m.maxHp;
-  m.respawnIn = 0;
-  m.deadAtMs = 0;
-  m.corpseUntilMs = 0;
-  m.lastHitBy = null;
-  m.dirX = 0; m.dirY = 0;
-  m.changeDirIn = 0;
+}
 
-  m.aggroTargetId = null;
-  m.aggroUntil = 0;
+// Snapshot form: { id: { untilMs, stacks } } for active effects.
+function statusEffectsSnapshot(e, nowMs = Date.now()) {
+  const out = {};
+  if (e.hp <= 0 || e.respawnIn > 0) return out;
+  for (const [id, fx] of Object.entries(e.effects || {})) {
+    if (fx.untilMs > nowMs) out[id] = { untilMs: fx.untilMs, stacks: fx.stacks };
+  }
+  return out;
 }
 
 /* ======================
-   CONNECTIONS
+   MOBS
 ====================== */
-wss.on("connection", (ws) => {
-  const id = newId();
-  socketToId.set(ws, id);
-  idToSocket.set(id, ws);
 
-  // Start in sanctuary
-  const mapId = "C";
-  const spawn = findSpawn(mapId, PLAYER_FOOT_RADIUS);
 
-  players.set(id, {
+const mobs = new Map();
+
+function spawnMob(id, mapId, opts = {}) {
+  const mobType = opts.mobType || "purple"; // green | pink | orange | purple | rainbow | snail_blue | snail_red
+  const radius = opts.radius ?? MOB_DEFS[mobType]?.radius ?? MOB_RADIUS;
+
+  // Allow explicit placement (tile coords or world coords) for curated spawns.
+  let s;
+  if (Number.isFinite(opts.x) && Number.isFinite(opts.y)) {
+    s = { x: opts.x, y: opts.y };
+  } else if (Number.isFinite(opts.tx) && Number.isFinite(opts.ty)) {
+    s = { x: (opts.tx + 0.5) * TILE, y: (opts.ty + 0.5) * TILE };
+  } else {
+    s = findSpawn(mapId, radius);
+  }
+
+  mobs.set(id, {
     id,
-    name: "Player",
     mapId,
-    x: spawn.x,
-    y: spawn.y,
-    inputs: { up: false, down: false, left: false, right: false },
+    x: s.x, y: s.y,
+    spawnTx: Number.isFinite(opts.tx) ? opts.tx : null,
+    spawnTy: Number.isFinite(opts.ty) ? opts.ty : null,
+    spawnX: Number.isFinite(opts.x) ? opts.x : null,
+    spawnY: Number.isFinite(opts.y) ? opts.y : null,
+    hp: opts.hp ?? (MOB_DEFS[mobType]?.maxHp ?? 30),
+    maxHp: opts.maxHp ?? (opts.hp ?? (MOB_DEFS[mobType]?.maxHp ?? 30)),
+    damage: opts.damage ?? (MOB_DEFS[mobType]?.damage ?? 10),
+	xp: opts.xp ?? (MOB_DEFS[mobType]?.xp ?? 12),
+    onHitEffect: opts.onHitEffect ?? (MOB_DEFS[mobType]?.onHitEffect ?? null),
+    effects: {},
+    attack: mobAttackProfile(opts.attack ?? MOB_DEFS[mobType]?.attack),
+    attackCdUntilMs: 0,
+    windup: null,  // special attack being telegraphed (see MOB ATTACKS)
+    lunge: null,
 
-    // facing for directional attacks
-    facing: { x: 0, y: 1 },
+    // Stats
+    speed: Number.isFinite(opts.speed) ? opts.speed : 100,
 
-    // weapons
-    weapon: null,
 
-    // leveling
-    level: 1,
-    xp: 0,
-    xpNext: xpToNext(1),
-    atk: 10,
-    weaponBonus: 0,
-    speed: 100,
-    speedBonus: 0,
-    // Basic attack can hit this many mobs (mastery can raise this)
-    basicHitCap: 1,
-    hp: 100,
-    maxHp: 100,
+    dirX: 0, dirY: 0,
+    changeDirIn: 0,
 
-    // loot
-    gold: 0,
+    atkCd: 0,
+    respawnIn: 0,
+    lastHitBy: null,
+    damageBy: {},  // playerId -> damage dealt this life (see creditMobDamage)
 
+    // collision
+    radius,
 
-    // equipment (server authoritative)
-    equipment: { weapon: null, armor: null, hat: null, accessory: null },
+    // type + behavior
+    mobType,
+    passiveUntilHit: (typeof opts.passiveUntilHit === "boolean") ? opts.passiveUntilHit : !!(MOB_DEFS[mobType]?.passiveUntilHit),
+    aggroTargetId: null,
+    aggroUntil: 0,
+    threat: {},  // playerId -> threat (see setMobAggro)
 
-    // hotbar (server authoritative, persisted)
-    hotbar: new Array(6).fill(null),
+    // Knockback tuning (per-mob, with overrides via MOB_DEFS / spawn opts)
+    knockbackThreshold: opts.knockbackThreshold ?? (MOB_DEFS[mobType]?.knockbackThreshold ?? BIG_KNOCKBACK_THRESHOLD),
+    knockbackDist: opts.knockbackDist ?? (MOB_DEFS[mobType]?.knockbackDist ?? BIG_KNOCKBACK_DIST),
 
-    // inventory (server authoritative)
-    inventory: createDefaultInventory(),
+    // Aggro tuning (can be overridden per mob type/spawn)
+    // mobSpawns author aggroRadius in tiles; it replaces the global notice distance.
+    baseAggroRange: opts.baseAggroRange ?? (Number.isFinite(opts.aggroRadius) && opts.aggroRadius >= 0 ? opts.aggroRadius * TILE : MOB_BASE_AGGRO),
+    hitAggroRange:  opts.hitAggroRange  ?? MOB_HIT_AGGRO,
+    aggroDurationMs: opts.aggroDurationMs ?? MOB_HIT_AGGRO_MS,
 
-// quests (server authoritative)
-quests: { jangoon_red_duke: { started: false, 
-    // monster book (server authoritative)
-    monsterBook: {},
-kills: 0, completed: false, rewarded: false } },
+    // Spawn tuning (authored per mobSpawns entry)
+    respawnSec: (Number.isFinite(opts.respawnSec) && opts.respawnSec >= 0) ? opts.respawnSec : MOB_RESPAWN_SEC,
+    // Leash is authored in tiles; 0/missing = never leashed.
+    leashPx: (Number.isFinite(opts.leash) && opts.leash > 0) ? opts.leash * TILE : 0,
+    returningHome: false,
 
-    // persistence bookkeeping
-    lastPersistAt: 0,
+  // Movement tuning
+  speedMul: opts.speedMul ?? 0.65,           // base (wanders + chase)
+  aggroSpeedMul: opts.aggroSpeedMul ?? 1.0,  // extra multiplier while provoked
 
-// skills (server authoritative timers)
-skill1ActiveUntilMs: 0,
-skill1CdUntilMs: 0,
-skill2CdUntilMs: 0,
-skill3CdUntilMs: 0,
-skill4CdUntilMs: 0,
+  // Pathfinding (server-only, see MOB PATHFINDING)
+  navLosCheckAtMs: 0,
+  navLosClear: false,
+});
+  return mobs.get(id);
+}
 
-	// ===== Skill 5 (wand): Familiar =====
-	// When active, a familiar follows the player. Whenever the player hits a mob with a normal wand bolt,
-	// the familiar targets that mob and applies small damage once per second until the mob dies or a new
-	// target is assigned (by hitting a different mob). Leaving the map cancels the skill.
-	familiarActive: false,
-	familiarTargetMobId: null,
-	familiarNextAtkMs: 0,
+/* ======================
+   BOSSES
+   A boss is a regular mob (spawnMob / killMobAndReward) carrying encounter state in m.boss.
+   Boss rooms are authored per map as `bossRooms` in the map JSON:
+     { id, bossType, tx, ty, room: { tx, ty, w, h }, respawnSec? }
+   The fight starts when the boss first takes damage and resets (full HP, adds gone) once no
+   living player has been inside the room for BOSS_RESET_GRACE_MS. Everyone who dealt damage gets the XP and their own
+   drop roll (personal loot only they can pick up).
+====================== */
+const BOSS_RESPAWN_SEC = 300;
+const BOSS_LOOT_LIFETIME_MS = 60_000;
+const BOSS_RESET_GRACE_MS = 5000; // room must stay empty this long (knockback, quick step out) before a reset
+const BOSS_DEFAULT_ROOM_RADIUS = 5; // tiles around the boss when a room omits `room`
+
+// phases[i].hpPct: entered once HP falls to that fraction of maxHp (phases[0] is the opener).
+//   rotation: MOB_ATTACK_KINDS profiles used in turn, one per special attack
+//   adds: { mobType, count } spawned once on entering the phase; speedMul: movement multiplier
+// enrageSec: seconds after the pull before the `enrage` multipliers kick in.
+// drops: MOB_DROP_TABLE-style entries, rolled separately for every contributor.
+const BOSS_DEFS = {
+  slime_king: {
+    name: "Slime King",
+    mobType: "rainbow",
+    scale: 1.8,
+    maxHp: 2400, damage: 30, xp: 250, radius: 44, speedMul: 0.5,
+    enrageSec: 150,
+    enrage: { damageMul: 1.5, cooldownMul: 0.5, speedMul: 1.3 },
+    phases: [
+      {
+        hpPct: 1,
+        rotation: [
+          { kind: "slam", range: 130, radius: 150 },
+          { kind: "ranged", count: 3, spreadDeg: 30 },
+        ],
+      },
+      {
+        hpPct: 0.6, speedMul: 1.2, adds: { mobType: "green", count: 3 },
+        rotation: [
+          { kind: "lunge" },
+          { kind: "slam", range: 140, radius: 170, windupMs: 800 },
+          { kind: "ranged", count: 5, spreadDeg: 60 },
+        ],
+      },
+      {
+        hpPct: 0.25, speedMul: 1.4, adds: { mobType: "pink", count: 2 },
+        rotation: [
+          { kind: "slam", range: 150, radius: 190, windupMs: 700, cooldownSec: 2.5 },
+          { kind: "lunge", lungeMs: 420 },
+          { kind: "ranged", count: 7, spreadDeg: 90 },
+        ],
+      },
+    ],
+    drops: [
+      { itemId: "rainbow_jelly", chance: 1, qty: { min: 2, max: 4 } },
+      { itemId: "potion_purple", chance: 0.5, qty: 2 },
+      { itemId: "bone_wand", chance: 0.2, qty: 1 },
+    ],
+  },
+};
 
-	// ===== Skill 6 (wand): Healing Cloud =====
-	// Summons a stationary cloud above the player that periodically heals them while active.
-	skill6CloudUntilMs: 0,
-	skill6NextHealMs: 0,
-	skill6CloudX: 0,
-	skill6CloudY: 0,
+let bossAddSeq = 0;
 
-// combat timers
+function spawnBoss(mapId, room) {
+  const def = BOSS_DEFS[room?.bossType];
+  if (!def || !Number.isInteger(room.tx) || !Number.isInteger(room.ty)) {
+    console.warn(`⚠️ Boss room ${mapId}/${room?.id ?? "?"}: unknown bossType or missing tx/ty, skipped`);
+    return null;
+  }
 
-    atkAnim: 0,
-    atkCd: 0,
-    atkKind: null,
-    invuln: 0,
+  const r = room.room || {};
+  const rr = BOSS_DEFAULT_ROOM_RADIUS;
+  const m = spawnMob(`${mapId}_boss_${room.id || room.bossType}`, mapId, {
+    mobType: def.mobType,
+    tx: room.tx,
+    ty: room.ty,
+    hp: def.maxHp,
+    maxHp: def.maxHp,
+    damage: def.damage,
+    xp: def.xp,
+    radius: def.radius,
+    speedMul: def.speedMul,
+    passiveUntilHit: false,
+    knockbackThreshold: Infinity,
+    respawnSec: Number.isFinite(room.respawnSec) ? room.respawnSec : BOSS_RESPAWN_SEC,
+  });
+  m.boss = {
+    def,
+    room: {
+      tx: Number.isInteger(r.tx) ? r.tx : room.tx - rr,
+      ty: Number.isInteger(r.ty) ? r.ty : room.ty - rr,
+      w: Number.isInteger(r.w) ? r.w : rr * 2 + 1,
+      h: Number.isInteger(r.h) ? r.h : rr * 2 + 1,
+    },
+    baseDamage: m.damage,
+    baseSpeedMul: m.speedMul,
+    phase: 0,
+    rotationIdx: 0,
+    pulledAtMs: 0,
+    emptySinceMs: 0,
+    enraged: false,
+    addIds: [],
+  };
+  applyBossTuning(m);
+  return m;
+}
 
-    // basic attack movement/facing lock window (ms timestamp)
-    basicAtkLockUntilMs: 0,
+function playerInBossRoom(p, m) {
+  if (!p || p.mapId !== m.mapId || p.hp <= 0 || p.respawnIn > 0) return false;
+  const { tx, ty } = playerFootTile(p);
+  const r = m.boss.room;
+  return tx >= r.tx && ty >= r.ty && tx < r.tx + r.w && ty < r.ty + r.h;
+}
 
-    // hold-to-attack state (mouse held)
-    attackHeld: false,
-    attackHeldAim: null,
+// Current rotation step as an attack profile, with enrage applied.
+function bossAttackProfile(m) {
+  const b = m.boss;
+  const rotation = b.def.phases[b.phase].rotation;
+  const atk = mobAttackProfile(rotation[b.rotationIdx % rotation.length]);
+  if (b.enraged) atk.cooldownSec *= (b.def.enrage?.cooldownMul ?? 1);
+  return atk;
+}
 
-    // portal anti-loop (ms timestamp). We now spawn ON portal tiles, so we prevent instant re-use.
-    portalCdUntilMs: 0,
+function advanceBossRotation(m) {
+  m.boss.rotationIdx++;
+  m.attack = bossAttackProfile(m);
+}
 
-    // save + respawn
-    save: null,     // {mapId,x,y}
-    respawnIn: 0,   // seconds
-  });
+// Re-derive speed, damage and the next attack from the phase and enrage state.
+function applyBossTuning(m) {
+  const b = m.boss;
+  const enrage = b.enraged ? (b.def.enrage || {}) : {};
+  m.speedMul = b.baseSpeedMul * (b.def.phases[b.phase].speedMul ?? 1) * (enrage.speedMul ?? 1);
+  m.damage = Math.round(b.baseDamage * (enrage.damageMul ?? 1));
+  m.attack = bossAttackProfile(m);
+}
 
-  const m = maps[mapId];
-  send(ws, {
-    type: "welcome",
-    id,
-    mapId,
-    map: m.map,
-    objMap: m.obj,
-    zMap: m.z,
-    zGateMap: m.zGate,
-    portals: m.portals || [],
-    // Authored mob spawn points (not live mobs). Used by the in-game editor export so
-    // existing spawns don't disappear when you export without editing mobs.
-    mobSpawns: m.mobSpawns || [],
-    tileSize: TILE,
-    mapW: m.w,
-    mapH: m.h,
-    playerRadius: PLAYER_RADIUS,
-    portalTile: PORTAL_TILE,
-    weapons: WEAPONS,
-    mobCatalog: MOB_CATALOG,
-    monsterBook: (players.get(id)?.monsterBook) || {},
-  });
+function enterBossPhase(m, phase) {
+  const b = m.boss;
+  b.phase = phase;
+  b.rotationIdx = 0;
+  applyBossTuning(m);
+
+  const adds = b.def.phases[phase].adds;
+  if (adds && MOB_DEFS[adds.mobType]) {
+    const tx = Math.floor(m.x / TILE);
+    const ty = Math.floor(m.y / TILE);
+    for (let k = 0; k < (adds.count || 1); k++) {
+      const spot = mobSpawnTileForIndex(m.mapId, tx, ty, k + 1);
+      const add = spawnMob(`${m.id}_add_${++bossAddSeq}`, m.mapId, { mobType: adds.mobType, tx: spot.tx, ty: spot.ty, passiveUntilHit: false });
+      add.despawnOnDeath = true;
+      if (m.aggroTargetId) setMobAggro(add, m.aggroTargetId);
+      b.addIds.push(add.id);
+    }
+  }
+  broadcastToMap(m.mapId, { type: "bossPhase", bossId: m.id, name: b.def.name, phase: phase + 1 });
+}
 
-ws.on("message", async (buf) => {
-    let msg;
-    try { msg = JSON.parse(buf.toString()); } catch { return; }
+function despawnBossAdds(m) {
+  for (const id of m.boss.addIds) mobs.delete(id);
+  m.boss.addIds = [];
+}
 
-    const pid = socketToId.get(ws);
-    const p = players.get(pid);
-    if (!p) return;
+// Back to a fresh encounter: used when the room empties out (announced) and when the boss respawns.
+function resetBossEncounter(m, announce = true) {
+  const b = m.boss;
+  const wasPulled = b.pulledAtMs > 0;
+  despawnBossAdds(m);
+  cancelMobAttack(m);
+  clearStatusEffects(m);
+  b.phase = 0;
+  b.rotationIdx = 0;
+  b.pulledAtMs = 0;
+  b.emptySinceMs = 0;
+  b.enraged = false;
+  applyBossTuning(m);
 
-	   if (msg.type === "setName") {
-	  const raw = (msg.name ?? "").toString().trim();
-	  const mode = msg.mode === "create" ? "create" : "load";
-	  if (!/^[A-Za-z]{4,8}$/.test(raw)) {
-		send(ws, { type: "nameRejected", reason: "Name must be letters only (4-8 chars)." });
-		return;
-	  }
+  m.hp = m.maxHp;
+  m.damageBy = {};
+  clearMobAggro(m);
+  m.attackCdUntilMs = 0;
+  const home = getMobHome(m);
+  if (home) { m.x = home.x; m.y = home.y; }
+  if (announce && wasPulled) broadcastToMap(m.mapId, { type: "bossReset", bossId: m.id, name: b.def.name });
+}
 
-	  const existingRow = await dbLoadPlayerByName(raw);
-	  if (mode === "create" && existingRow) {
-		send(ws, { type: "nameRejected", reason: "That character name is already taken." });
-		return;
-	  }
+// Pull, phase changes, enrage and wipes for every live boss. Runs once per tick before mob AI.
+function tickBosses(nowMs) {
+  for (const m of mobs.values()) {
+    const b = m.boss;
+    if (!b || m.respawnIn > 0 || m.hp <= 0) continue;
 
-	  p.name = existingRow?.name || raw;
+    let anyoneInside = false;
+    for (const p of players.values()) {
+      if (playerInBossRoom(p, m)) { anyoneInside = true; break; }
+    }
+    const engaged = b.pulledAtMs > 0 || m.hp < m.maxHp;
+    if (!engaged) continue;
+    if (anyoneInside) {
+      b.emptySinceMs = 0;
+    } else {
+      if (!b.emptySinceMs) b.emptySinceMs = nowMs;
+      if (nowMs - b.emptySinceMs >= BOSS_RESET_GRACE_MS) resetBossEncounter(m);
+      continue;
+    }
+    if (!b.pulledAtMs) b.pulledAtMs = nowMs;
 
-	  if (existingRow) {
-		console.log(`🔁 Loaded player from DB: ${p.name}`);
-		applyRowToPlayer(p, existingRow);
-		p.lastPersistAt = Date.now();
-	  } else {
-		console.log(`🆕 New player: ${p.name}`);
-		p.lastPersistAt = Date.now();
-		// Brand new character: always start on Map C at tile (16,5)
-		applyFixedSpawn(p);
-		p.save = null; // don't override fixed respawn with an old save
-		// Ensure full HP on first join
-		p.hp = p.maxHp;
-	  }
+    const phases = b.def.phases;
+    while (b.phase + 1 < phases.length && m.hp <= m.maxHp * phases[b.phase + 1].hpPct) {
+      enterBossPhase(m, b.phase + 1);
+    }
 
-	  send(ws, { type: "nameAccepted", name: p.name, mode });
-	  // send persisted hotbar to client (so it loads across logins)
-	  send(ws, { type: "hotbarState", slots: p.hotbar || new Array(6).fill(null) });
-	  return;
-	}
+    if (!b.enraged && b.def.enrageSec > 0 && nowMs >= b.pulledAtMs + b.def.enrageSec * 1000) {
+      b.enraged = true;
+      applyBossTuning(m);
+      broadcastToMap(m.mapId, { type: "bossEnraged", bossId: m.id, name: b.def.name });
+    }
+  }
+}
 
-    if (msg.type === "saveAndLogout") {
-      try {
-        if (p.name) {
-          await dbSavePlayer(p);
-          p.lastPersistAt = Date.now();
-        }
-        send(ws, { type: "saveAndLogoutComplete", name: p.name || null });
-      } catch (err) {
-        console.error("⚠️ saveAndLogout failed:", err?.message || err);
-        send(ws, { type: "saveAndLogoutComplete", name: p.name || null });
+// Called from killMobAndReward: full XP and a personal drop roll for every contributor.
+function rewardBossKill(m) {
+  const b = m.boss;
+  despawnBossAdds(m);
+
+  let dropIndex = 0;
+  for (const { p: q } of mobContributors(m)) {
+    questOnKill(q, m);
+    recordMonsterBookKill(q, m.mobType);
+    awardXp(q, m.xp ?? b.def.xp);
+    dropIndex = rollMobDrops(m, dropIndex, m.x, m.y, b.def.drops, { ownerId: q.id, lifetimeMs: BOSS_LOOT_LIFETIME_MS });
+  }
+  broadcastToMap(m.mapId, { type: "bossDefeated", bossId: m.id, name: b.def.name });
+}
+
+// Boss HP bar for the boss whose room p stands in; null when there is none.
+function bossBarFor(p) {
+  if (!p) return null;
+  for (const m of mobs.values()) {
+    if (!m.boss || m.respawnIn > 0 || !playerInBossRoom(p, m)) continue;
+    const b = m.boss;
+    return {
+      id: m.id,
+      name: b.def.name,
+      hp: Math.max(0, Math.ceil(m.hp)),
+      maxHp: m.maxHp,
+      phase: b.phase + 1,
+      phaseHpPcts: b.def.phases.slice(1).map((ph) => ph.hpPct),
+      enraged: b.enraged,
+      enrageAtMs: (b.pulledAtMs && b.def.enrageSec > 0) ? b.pulledAtMs + b.def.enrageSec * 1000 : 0,
+    };
+  }
+  return null;
+}
+
+// Mobs per zone (difficulty ramp):
+//   Map C (starting map): green slimes (passive until hit)
+//   Map A (next): pink (top), orange (bottom)
+//   Map B (third): purple + rainbow
+//
+// NOTE: All spawns are curated tile positions for now; tweak freely.
+
+
+// Pick the tile for the Nth extra mob of a multi-count spawn.
+// Walks rings around the authored tile and returns the Nth open tile on the same Z level.
+function mobSpawnTileForIndex(mapId, tx, ty, index) {
+  if (index <= 0) return { tx, ty };
+  const z0 = tileZ(mapId, tx, ty);
+  let found = 0;
+  for (let r = 1; r <= 4; r++) {
+    for (let dy = -r; dy <= r; dy++) {
+      for (let dx = -r; dx <= r; dx++) {
+        if (Math.abs(dx) !== r && Math.abs(dy) !== r) continue; // only perimeter
+        const c = centerOfTile(tx + dx, ty + dy);
+        if (isBlocked(mapId, c.x, c.y)) continue;
+        if (tileZ(mapId, tx + dx, ty + dy) !== z0) continue;
+        found++;
+        if (found === index) return { tx: tx + dx, ty: ty + dy };
       }
-      return;
     }
+  }
+  // Crowded spot: fall back to the authored tile.
+  return { tx, ty };
+}
 
-    if (msg.type === "setHotbar") {
-      const inSlots = Array.isArray(msg.slots) ? msg.slots : [];
-      const out = new Array(6).fill(null);
+function initStaticEntitiesFromTemplates() {
+  // NPCs and curated mob spawns now live in maps_data.js templates.
+  // This makes the in-game editor export -> copy/paste workflow work for everything.
+  for (const [mapId, tmpl] of Object.entries(mapTemplates)) {
+    const npcList = tmpl.npcs || [];
+    for (const npc of npcList) {
+      spawnNpc({ ...npc, mapId: npc.mapId || mapId });
+    }
 
-      for (let i = 0; i < 6; i++) {
-        const s = inSlots[i];
-        if (!s || typeof s !== "object") { out[i] = null; continue; }
+    // Mobs can be authored as `mobSpawns` (preferred) or legacy `mobs` from older editor exports.
+    const mobListRaw = tmpl.mobSpawns || tmpl.mobs || [];
+    const mobList = mobListRaw.map((s) => {
+      if (s && (s.mobType != null) && (Number.isFinite(s.tx) || Number.isFinite(s.x))) return s;
+      // normalize legacy {type,x,y} into {mobType,tx,ty}
+      const mobType = s && (s.mobType ?? s.type);
+      const tx = s && (Number.isFinite(s.tx) ? s.tx : (Number.isFinite(s.x) ? s.x : undefined));
+      const ty = s && (Number.isFinite(s.ty) ? s.ty : (Number.isFinite(s.y) ? s.y : undefined));
+      const out = {
+        ...(s && s.id ? { id: s.id } : {}),
+        ...(s && s.mapId ? { mapId: s.mapId } : {}),
+        mobType,
+        ...(Number.isFinite(tx) ? { tx } : {}),
+        ...(Number.isFinite(ty) ? { ty } : {}),
+      };
+      if (s && s.speedMul != null) out.speedMul = s.speedMul;
+      if (s && s.aggroSpeedMul != null) out.aggroSpeedMul = s.aggroSpeedMul;
+      if (s && s.passiveUntilHit != null) out.passiveUntilHit = s.passiveUntilHit;
+      if (s && s.count != null) out.count = s.count;
+      if (s && s.respawnSec != null) out.respawnSec = s.respawnSec;
+      if (s && s.leash != null) out.leash = s.leash;
+      if (s && s.aggroRadius != null) out.aggroRadius = s.aggroRadius;
+      return out;
+    });
+    for (let i = 0; i < mobList.length; i++) {
+      const s = mobList[i];
+      const baseId = s.id || `${mapId}_${s.mobType}_${i + 1}`;
+      const spawnMapId = s.mapId || mapId;
+      const count = Math.max(1, Math.min(MOB_SPAWN_MAX_COUNT, Math.floor(Number(s.count)) || 1));
+
+      for (let k = 0; k < count; k++) {
+        // Keep the original id for the first mob so single-count spawns are unchanged.
+        const id = k === 0 ? baseId : `${baseId}_${k + 1}`;
+
+        // Extra mobs fan out onto nearby open tiles instead of stacking on the authored tile.
+        let tx = s.tx;
+        let ty = s.ty;
+        if (k > 0 && Number.isFinite(s.tx) && Number.isFinite(s.ty)) {
+          ({ tx, ty } = mobSpawnTileForIndex(spawnMapId, s.tx, s.ty, k));
+        }
 
-        if (s.type === "skill" && typeof s.id === "string") {
-          // Allow only known skills (extend this list as you add more)
-          const sid = s.id;
-          if (
-            sid === "skill1" ||
-            sid === "skill2" ||
-            sid === "skill3" ||
-            sid === "skill4" ||
-            sid === "skill5" ||
-            sid === "skill6"
-          ) {
-            out[i] = { type: "skill", id: sid };
-          } else {
-            out[i] = null;
+        spawnMob(id, spawnMapId, {
+          mobType: s.mobType,
+          tx,
+          ty,
+          x: s.x,
+          y: s.y,
+          // optional tuning knobs
+          speedMul: s.speedMul,
+          aggroSpeedMul: s.aggroSpeedMul,
+          passiveUntilHit: s.passiveUntilHit,
+          respawnSec: Number(s.respawnSec),
+          leash: Number(s.leash),
+          aggroRadius: Number(s.aggroRadius),
+        });
+
+        const m = mobs.get(id);
+        if (m) {
+          // Remember spawn point so respawn returns the mob to its curated spot.
+          if (Number.isFinite(tx) && Number.isFinite(ty)) {
+            m.spawnTx = tx; m.spawnTy = ty;
+          } else if (Number.isFinite(s.x) && Number.isFinite(s.y)) {
+            m.spawnX = s.x; m.spawnY = s.y;
           }
-          continue;
         }
+      }
+    }
+    for (const room of tmpl.bossRooms || []) spawnBoss(mapId, room);
+  }
+}
 
-        if (s.type === "item") {
-          const itemId = (typeof s.itemId === "string") ? s.itemId : ((typeof s.id === "string") ? s.id : "");
-          if (!itemId || !ITEMS[itemId]) { out[i] = null; continue; }
-          const preferSlot = Number.isInteger(s.preferSlot) ? s.preferSlot : undefined;
-          out[i] = preferSlot === undefined ? { type: "item", itemId } : { type: "item", itemId, preferSlot };
-          continue;
-        }
+initStaticEntitiesFromTemplates();
+reportPortalProblems();
 
-        out[i] = null;
-      }
+// Basic attack input lock (server-authoritative)
+// - Freezes movement briefly when a basic attack is accepted
+// - Locks facing direction to the attack direction for the same window
+// NOTE: This should generally match the basic attack animation window (p.atkAnim)
+// so movement + facing remain locked for the full swing.
+const BASE_BASIC_SWING_SEC = 0.60;
+const FLAT_ATTACK_LOCKOUT_SEC = 0.20;// minimum extra delay after a swing finishes before another attack can be accepted
+// Shared basic-attack handler so we can trigger attacks both from explicit client clicks
+// and from server-side "hold-to-attack" repeat.
+// Knockback multiplier from the equipped weapon (lets some weapons shove harder).
+// Defaults: spears = 1.5x, everything else = 1.0x.
+function getPlayerWeaponKnockbackMul(p) {
+  const wid = p?.equipment?.weapon;
+  const def = wid ? ITEMS[wid] : null;
+  const raw = Number(def?.knockbackMul);
+  if (Number.isFinite(raw) && raw > 0) return raw;
 
-      p.hotbar = out;
-      send(ws, { type: "hotbarState", slots: p.hotbar });
-      return;
-    }
+  const k = def?.weaponKey || null;
+  if (k === "spear") return 1.5;
+  return 1.0;
+}
 
+function attemptBasicAttack(ws, p, msg, nowMs = Date.now()) {
+  if (!p) return false;
+  if (p.hp <= 0 || p.respawnIn > 0) return false;
 
-// DEV: spawn an item directly into your inventory (testing convenience)
-// Client hotkey: F9 (see index.html)
-if (msg.type === "devSpawnItem") {
-  if (!ENABLE_DEV_SPAWN) return;
+  // Respect server-authoritative lock window
+  if (nowMs < (p.basicAtkLockUntilMs || 0)) return false;
+  if (p.atkCd > 0) return false;
+  if (isStunned(p, nowMs)) return false;
 
-  const itemId = (msg.itemId ?? "").toString();
-  if (!itemId || !ITEMS[itemId]) {
-    send(ws, { type: "devSpawnResult", ok: false, reason: "Unknown itemId" });
-    return;
+  // Require an equipped weapon to attack
+  const equippedWeaponId = p.equipment?.weapon;
+  const equippedDef = equippedWeaponId ? ITEMS[equippedWeaponId] : null;
+  const weaponKey = equippedDef?.weaponKey || null;
+  if (!weaponKey) return false;
+
+  const baseAtk = getPlayerAttack(p);
+
+  // Skill 1 can only be fired through a wand projectile. If the player attacks with anything else,
+  // drop any primed state so they must press 1 again.
+  if (weaponKey !== "wand" && p.skill1Primed) p.skill1Primed = false;
+
+  // shared animation time (client uses this for sword/spear/wand “active”)
+  // (seconds)
+  const weaponSpeed = Math.max(0.05, Number(equippedDef?.weaponSpeed) || 1);
+  const swingSec = Math.max(0.05, (Number(BASE_BASIC_SWING_SEC) || 0.5) / weaponSpeed);
+  p.atkAnim = swingSec;
+  // Default attack kind is a normal/basic swing (no special visuals)
+  p.atkKind = null;
+
+  // weapon cooldowns (anti-spam)
+  // NOTE: This is the *authoritative* lockout.
+  // swingSec already computed above from BASE_BASIC_SWING_SEC / weaponSpeed
+  // Cooldown is tied to the weapon swing animation so the player can re-attack
+  // as soon as the animation finishes (and after any lock window).
+  p.atkCd = swingSec + FLAT_ATTACK_LOCKOUT_SEC;
+
+  // Freeze + facing lock window
+  p.basicAtkLockUntilMs = nowMs + Math.round(swingSec * 1000);
+
+  // Optional aim from client.
+  // We prefer aimDirX/aimDirY when provided because they are derived from the player's
+  // on-screen position and are not affected by camera smoothing lag.
+  const aimDirX = Number(msg?.aimDirX);
+  const aimDirY = Number(msg?.aimDirY);
+  const hasAimDir = Number.isFinite(aimDirX) && Number.isFinite(aimDirY) && (Math.abs(aimDirX) + Math.abs(aimDirY) > 1e-6);
+
+  const aimX = Number(msg?.aimX);
+  const aimY = Number(msg?.aimY);
+  const hasAim = Number.isFinite(aimX) && Number.isFinite(aimY);
+
+  if (hasAimDir) {
+    const dx = aimDirX;
+    const dy = aimDirY;
+    const ax = Math.abs(dx);
+    const ay = Math.abs(dy);
+
+    if (weaponKey === "wand") {
+      const f = norm({ x: dx, y: dy });
+      p.facing = f;
+    } else {
+      if (ax > ay) p.facing = { x: dx >= 0 ? 1 : -1, y: 0 };
+      else if (ay > 0) p.facing = { x: 0, y: dy >= 0 ? 1 : -1 };
+    }
+  } else if (hasAim) {
+    const dx = aimX - p.x;
+    const dy = aimY - p.y;
+    const ax = Math.abs(dx);
+    const ay = Math.abs(dy);
+
+    if (weaponKey === "wand") {
+      const f = norm({ x: dx, y: dy });
+      if (Math.abs(f.x) + Math.abs(f.y) > 0) p.facing = f;
+    } else {
+      if (ax > ay) p.facing = { x: dx >= 0 ? 1 : -1, y: 0 };
+      else if (ay > 0) p.facing = { x: 0, y: dy >= 0 ? 1 : -1 };
+    }
   }
 
-  let qty = parseInt(msg.qty, 10);
-  if (!Number.isFinite(qty) || qty <= 0) qty = 1;
-  qty = Math.min(999, qty);
+  // Cache a discrete attack direction for clients (used for rendering during atkAnim and lock window).
+  // This prevents the weapon sprite from snapping to the movement direction mid-swing.
+  {
+    const fx = p.facing?.x ?? 0;
+    const fy = p.facing?.y ?? 0;
+    const ax = Math.abs(fx);
+    const ay = Math.abs(fy);
+    if (ax > ay) p.atkDir = (fx >= 0 ? "right" : "left");
+    else if (ay > 0) p.atkDir = (fy >= 0 ? "down" : "up");
+    // else keep previous
+  }
 
-  // Optional: force a specific weapon roll (for testing)
-  const weaponBonus = Number.isFinite(msg.weaponBonus) ? msg.weaponBonus : null;
-  const ok = addItemToInventory(p, itemId, qty, weaponBonus);
-  if (!ok) {
-    send(ws, { type: "devSpawnResult", ok: false, reason: "Inventory full" });
-    return;
+  // === BEGIN original basic-attack resolution ===
+  // SWORD: wide slash hitbox
+  if (weaponKey === "sword") {
+    // Basic attacks normally hit 1 target; sword mastery raises p.basicHitCap to 2/3/4.
+    const hitCap = Math.max(1, p.basicHitCap ?? 1);
+
+    const candidates = [];
+    for (const m of mobs.values()) {
+      if (m.mapId !== p.mapId) continue;
+      if (m.respawnIn > 0) continue;
+      if (m.hp <= 0) continue;
+
+      if (swordHitTest(p, m)) {
+        candidates.push(m);
+      }
+    }
+
+    // closest first, then hit up to cap
+    candidates.sort((a, b) => dist(p.x, p.y, a.x, a.y) - dist(p.x, p.y, b.x, b.y));
+
+    let hits = 0;
+    for (const m of candidates) {
+      if (hits >= hitCap) break;
+      // Use inclusive roll helper (and avoid relying on randInt being present in older builds)
+      const dmg = randIntInclusive(baseAtk - 2, baseAtk + 2);
+      creditMobDamage(m, p.id, dmg);
+      m.hp -= dmg;
+
+      // Big knockback if this single hit is strong enough.
+      maybeBigKnockback(m, p.x, p.y, dmg, getPlayerWeaponKnockbackMul(p));
+// Basic attacks should provoke aggro.
+      setMobAggro(m, p.id);
+      if (equippedDef?.onHitEffect) applyStatusEffect(m, equippedDef.onHitEffect, p.id);
+
+      broadcastToMap(p.mapId, {
+        type: "hit",
+        targetId: m.id,
+        targetKind: "mob",
+        srcX: p.x,
+        srcY: p.y,
+        amount: dmg,
+        fx: "slash",
+      });
+
+      if (m.hp <= 0) {
+        killMobAndReward(m, p.id);
+      }
+      hits++;
+    }
+
+    const foe = duelFoe(p);
+    if (foe && swordHitTest(p, foe)) {
+      hitDuelFoe(p, foe, randIntInclusive(baseAtk - 2, baseAtk + 2), p.x, p.y, "slash");
+    }
+
+    return true;
   }
 
-  send(ws, { type: "devSpawnResult", ok: true, itemId, qty });
-  return;
-}
+  // SPEAR: thrust hitbox
+  if (weaponKey === "spear") {
+    // Spear thrust: delay the actual hit so damage lines up with the poke extension.
+    // This prevents mobs from taking damage before the spear visually reaches them.
+    const SPEAR_HIT_FRACTION = 0.55; // ~halfway through the thrust feels best in practice.
+    const hitCap = Math.max(1, p.basicHitCap ?? 1);
 
+    // Snapshot the attacker origin + facing at the start of the animation.
+    const sx = p.x;
+    const sy = p.y;
+    const sfacing = { ...(p.facing || { x: 0, y: 1 }) };
+    const mapIdAtAttack = p.mapId;
 
-    if (msg.type === "input") {
-      p.inputs.up = !!msg.up;
-      p.inputs.down = !!msg.down;
-      p.inputs.left = !!msg.left;
-      p.inputs.right = !!msg.right;
+    // Monotonic token so delayed hits from older attacks can’t fire.
+    const seq = (p.basicAtkSeq = (p.basicAtkSeq || 0) + 1);
 
-      // update facing only when some direction is pressed
-      const hasDir = p.inputs.up || p.inputs.down || p.inputs.left || p.inputs.right;
-      if (hasDir) {
-        // Don't let movement inputs overwrite the attack-facing while an attack animation OR
-        // basic-attack lock window is active.
-        const nowMs = Date.now();
-        if (p.atkAnim <= 0 && nowMs >= (p.basicAtkLockUntilMs || 0)) {
-          p.facing = facingFromInputs(p.inputs, p.facing);
+    const doSpearHits = () => {
+      const snapP = { x: sx, y: sy, facing: sfacing };
+
+      const candidates = [];
+      for (const m of mobs.values()) {
+        if (m.mapId !== mapIdAtAttack) continue;
+        if (m.respawnIn > 0) continue;
+        if (m.hp <= 0) continue;
+
+        if (spearHitTest(snapP, m)) {
+          candidates.push(m);
         }
       }
 
-      return;
+      // closest first, then hit up to cap
+      candidates.sort((a, b) => dist(sx, sy, a.x, a.y) - dist(sx, sy, b.x, b.y));
+
+      let hits = 0;
+      for (const m of candidates) {
+        if (hits >= hitCap) break;
+
+        const dmg = randIntInclusive(baseAtk - 2, baseAtk + 2);
+        creditMobDamage(m, p.id, dmg);
+        m.hp -= dmg;
+
+        maybeBigKnockback(m, sx, sy, dmg, getPlayerWeaponKnockbackMul(p));
+        setMobAggro(m, p.id);
+        if (equippedDef?.onHitEffect) applyStatusEffect(m, equippedDef.onHitEffect, p.id);
+
+        broadcastToMap(mapIdAtAttack, {
+          type: "hit",
+          targetId: m.id,
+          targetKind: "mob",
+          srcX: sx,
+          srcY: sy,
+          amount: dmg,
+          fx: "stab",
+        });
+
+        if (m.hp <= 0) {
+          killMobAndReward(m, p.id);
+        }
+        hits++;
+      }
+
+      const foe = duelFoe(p);
+      if (foe && spearHitTest(snapP, foe)) {
+        hitDuelFoe(p, foe, randIntInclusive(baseAtk - 2, baseAtk + 2), sx, sy, "stab");
+      }
+    };
+
+    const delayMs = Math.max(0, Math.round(swingSec * 1000 * SPEAR_HIT_FRACTION));
+
+    if (delayMs > 0) {
+      setTimeout(() => {
+        // Player may have disconnected, died, respawned, changed maps, etc.
+        if (!players.has(p.id)) return;
+        if ((p.basicAtkSeq || 0) !== seq) return;
+        if (p.hp <= 0 || p.respawnIn > 0) return;
+        if (p.mapId !== mapIdAtAttack) return;
+
+        doSpearHits();
+      }, delayMs);
+    } else {
+      doSpearHits();
     }
 
+    return true;
+  }
 
-    // ===== Skill 5: Familiar (wand-only) =====
-    // Toggles a persistent familiar that will auto-attack the mob you last hit with a normal wand bolt.
-    // Leaving the map cancels the skill.
-    if (msg.type === "skill5FamiliarToggle") {
-      if (p.hp <= 0 || p.respawnIn > 0) return;
-
-      const equippedWeaponId = p.equipment?.weapon;
-      const equippedDef = equippedWeaponId ? ITEMS[equippedWeaponId] : null;
-      const weaponKey = equippedDef?.weaponKey || null;
-      if (weaponKey !== "wand") {
-        send(ws, { type: "skill5Rejected", reason: "Equip a wand to use Familiar." });
-        return;
-      }
+  // WAND: projectile
+  if (weaponKey === "wand") {
+    // Skill 1 is a primed wand shot that creates a whirlpool on mob-hit.
+    // We only allow it if the skill isn't on cooldown at the moment of firing.
+    const wantsSkill1 = !!p.skill1Primed && nowMs >= skillLockedUntil(p, "skill1");
+    // Consume the primed state on the first wand shot after pressing 1.
+    // If this projectile misses, cooldown will NOT start (only starts on hit when whirlpool begins).
+    if (p.skill1Primed) p.skill1Primed = false;
 
-      p.familiarActive = !p.familiarActive;
-      if (!p.familiarActive) {
-        p.familiarTargetMobId = null;
-        p.familiarNextAtkMs = 0;
-        p._familiarLastTargetMobId = null;
-      }
+    const speed = 520;
+    const lifeMs = 650;
+    const f = norm({ x: p.facing.x, y: p.facing.y });
 
-      send(ws, { type: "skill5State", active: !!p.familiarActive });
-      return;
+    // Spawn slightly offset so the bolt originates closer to the wand/hand.
+    let startX = p.x;
+    let startY = p.y;
+    const atkDir = p.atkDir || "down";
+    if (atkDir === "right") {
+      startX += -15;
+      startY += 0;
+    } else if (atkDir === "left") {
+      startX -= 15;
+      startY += 0;
+    } else if (atkDir === "down") {
+      startX += -15;
+      startY += 12;
+    } else if (atkDir === "up") {
+      startX += 10;
+      startY -= 18;
     }
 
-    // ===== Skill 6: Healing Cloud (wand-only) =====
-    if (msg.type === "skill6HealingCloud") {
-      if (p.hp <= 0 || p.respawnIn > 0) return;
-
-      const equippedWeaponId = p.equipment?.weapon;
-      const equippedDef = equippedWeaponId ? ITEMS[equippedWeaponId] : null;
-      const weaponKey = equippedDef?.weaponKey || null;
-      if (weaponKey !== "wand") {
-        send(ws, { type: "skill6Rejected", reason: "Equip a wand to use Healing Cloud." });
-        return;
-      }
+    spawnProjectile({
+      mapId: p.mapId,
+      ownerId: p.id,
+      x: startX,
+      y: startY,
+      vx: f.x * speed,
+      vy: f.y * speed,
+      rad: 5,
+      damage: Math.max(1, Math.floor(baseAtk * 0.75 * skillValue(p, "wand_mastery", "boltDamageMult"))),
+      lifeMs,
+      sprite: wantsSkill1 ? "skill1_projectile" : "wand_projectile",
+      skill1: wantsSkill1,
+      knockbackMul: getPlayerWeaponKnockbackMul(p),
+      onHitEffect: wantsSkill1 ? null : (equippedDef?.onHitEffect || null),
+    });
 
-      const nowMs = Date.now();
+    return true;
+  }
 
-      // If already active, just ignore (client will show feedback based on timers)
-      if (p.skill6CloudUntilMs && nowMs < p.skill6CloudUntilMs) {
-        send(ws, { type: "skill6Rejected", reason: "Healing Cloud is already active." });
-        return;
-      }
+  return true;
+}
 
-      p.skill6CloudUntilMs = nowMs + SKILL6_DURATION_MS;
-      p.skill6NextHealMs = nowMs + SKILL6_TICK_MS;
-      p.skill6CloudX = p.x;
-      p.skill6CloudY = p.y;
-      return;
-    }
 
+// Curated spawn point of a mob (world coords), or null for randomly placed mobs.
+// Used for respawn placement and as the leash anchor.
+function getMobHome(m) {
+  if (Number.isFinite(m.spawnX) && Number.isFinite(m.spawnY)) {
+    return { x: m.spawnX, y: m.spawnY };
+  }
+  if (Number.isFinite(m.spawnTx) && Number.isFinite(m.spawnTy)) {
+    return { x: (m.spawnTx + 0.5) * TILE, y: (m.spawnTy + 0.5) * TILE };
+  }
+  return null;
+}
 
-if (msg.type === "skill1Arm") {
-  if (p.hp <= 0 || p.respawnIn > 0) return;
+function respawnMob(m) {
+  // Prefer curated spawn points (if provided in maps_data.js mobSpawns)
+  const s = getMobHome(m) || findSpawn(m.mapId, m.radius ?? MOB_RADIUS);
+  m.x = s.x; m.y = s.y;
+  m.hp = m.maxHp;
+  m.respawnIn = 0;
+  m.deadAtMs = 0;
+  m.corpseUntilMs = 0;
+  m.lastHitBy = null;
+  m.damageBy = {};
+  m.dirX = 0; m.dirY = 0;
+  m.changeDirIn = 0;
 
-  const nowMs = Date.now();
-  // Can't arm while active or on cooldown
-  if (nowMs < (p.skill1ActiveUntilMs || 0) || nowMs < (p.skill1CdUntilMs || 0)) {
-    send(ws, { type: "skill1Rejected", reason: "Skill 1 is on cooldown." });
-    return;
-  }
+  clearMobAggro(m);
+  m.returningHome = false;
+  clearStatusEffects(m);
+  cancelMobAttack(m);
+  if (m.boss) resetBossEncounter(m, false);
+}
 
-  // Must be equipped with a wand
-  const equippedWeaponId = p.equipment?.weapon;
-  const equippedDef = equippedWeaponId ? ITEMS[equippedWeaponId] : null;
-  const weaponKey = equippedDef?.weaponKey || null;
-  if (weaponKey !== "wand") {
-    send(ws, { type: "skill1Rejected", reason: "Equip a wand to use Skill 1." });
-    return;
-  }
+/* ======================
+   CHAT
+   Channels: "map" (everyone on your map), "global" (everyone online),
+   "whisper" (one player, by character name).
+====================== */
+const CHAT_CHANNELS = ["map", "global", "whisper"];
+const CHAT_MAX_LEN = 120;
+const CHAT_RATE_WINDOW_MS = 5000;   // sliding window for flood detection
+const CHAT_RATE_MAX_MSGS = 5;       // messages allowed per window
+const CHAT_FLOOD_MUTE_MS = 10000;   // mute length after exceeding the window
+
+// Small built-in list; matches are masked with asterisks rather than rejected. Only whole words
+// (plus a few plain suffixes) match, so words that merely contain one ("Scunthorpe") pass.
+const CHAT_BLOCKED_WORDS = ["fuck", "shit", "bitch", "cunt", "asshole", "bastard", "nigger", "faggot", "retard"];
+const CHAT_BLOCKED_RE = new RegExp(`\\b(?:${CHAT_BLOCKED_WORDS.join("|")})(?:s|es|ed|er|ers|ing|y)?\\b`, "gi");
+
+function sanitizeChatText(raw) {
+  return (raw ?? "").toString()
+    .replace(/[\u0000-\u001f\u007f]/g, " ") // no control chars / newlines
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, CHAT_MAX_LEN);
+}
 
-  p.skill1Primed = true;
-  send(ws, { type: "skill1Armed" });
-  return;
+function filterChatProfanity(text) {
+  return text.replace(CHAT_BLOCKED_RE, (w) => "*".repeat(w.length));
 }
 
-if (msg.type === "skill1Cast") {
-  if (p.hp <= 0 || p.respawnIn > 0) return;
+// Returns 0 when the player may send now, otherwise how many ms they must wait.
+function chatRateLimitWaitMs(p, nowMs) {
+  if (nowMs < (p.chatMutedUntilMs || 0)) return p.chatMutedUntilMs - nowMs;
 
-  const nowMs = Date.now();
-  // Can't cast while active or on cooldown
-  if (nowMs < (p.skill1ActiveUntilMs || 0) || nowMs < (p.skill1CdUntilMs || 0)) {
-    send(ws, { type: "skill1Rejected", reason: "Skill 1 is on cooldown." });
-    return;
+  const recent = (p.chatSentAtMs || []).filter(t => nowMs - t < CHAT_RATE_WINDOW_MS);
+  if (recent.length >= CHAT_RATE_MAX_MSGS) {
+    p.chatMutedUntilMs = nowMs + CHAT_FLOOD_MUTE_MS;
+    p.chatSentAtMs = [];
+    return CHAT_FLOOD_MUTE_MS;
   }
 
-  const x = Number(msg.x);
-  const y = Number(msg.y);
-  if (!Number.isFinite(x) || !Number.isFinite(y)) return;
+  recent.push(nowMs);
+  p.chatSentAtMs = recent;
+  return 0;
+}
 
-  // Must be within targeting radius of caster
-  const dx = x - p.x;
-  const dy = y - p.y;
-  if (Math.hypot(dx, dy) > SKILL1_RANGE_PX) {
-    send(ws, { type: "skill1Rejected", reason: "Out of range." });
-    return;
+// Only characters that are in the world and connected; pass includeHeld to also match
+// characters waiting out their reconnect grace.
+function findPlayerByName(name, { includeHeld = false } = {}) {
+  const key = (name ?? "").toString().trim().toLowerCase();
+  if (!key) return null;
+  for (const p of players.values()) {
+    if (!p.charLoaded || (!includeHeld && isHeldForReconnect(p))) continue;
+    if ((p.name || "").toLowerCase() === key) return p;
   }
+  return null;
+}
 
-  // Must be on passable tile (base + objects)
-  if (isBlocked(p.mapId, x, y)) {
-    send(ws, { type: "skill1Rejected", reason: "Target must be on passable ground." });
-    return;
+function broadcastToAll(obj) {
+  for (const client of wss.clients) {
+    const p = players.get(socketToId.get(client));
+    if (!p?.charLoaded) continue;
+    send(client, obj);
   }
+}
 
-  const id = `${p.id}:${nowMs}`;
-  const startMs = nowMs;
-  const endMs = nowMs + SKILL1_DURATION_MS;
-  whirlpools.set(id, { id, mapId: p.mapId, x, y, rad: SKILL1_EFFECT_RADIUS_PX, casterId: p.id, startMs, endMs });
+/* ======================
+   RECONNECT GRACE
+   When a playing socket drops, its character stays in the world (position, skills,
+   familiar, party) for RECONNECT_GRACE_MS. A new socket reclaims it with the resume
+   token from nameAccepted; only once the window runs out is it saved and removed.
+====================== */
+const RECONNECT_GRACE_MS = Math.max(0, Number(process.env.RECONNECT_GRACE_MS ?? 30_000) || 0);
+const resumeTokens = new Map(); // token -> player id
+
+function issueResumeToken(p) {
+  if (p.resumeToken) resumeTokens.delete(p.resumeToken);
+  p.resumeToken = crypto.randomBytes(24).toString("base64url");
+  resumeTokens.set(p.resumeToken, p.id);
+  return p.resumeToken;
+}
+
+function revokeResumeToken(p) {
+  if (p.resumeToken) resumeTokens.delete(p.resumeToken);
+  p.resumeToken = null;
+}
+
+// A character whose socket is gone but who is still inside the grace window.
+function isHeldForReconnect(p) {
+  return !!p && p.disconnectedAtMs > 0 && !idToSocket.has(p.id);
+}
 
-  p.skill1ActiveUntilMs = endMs;
-  // Cooldown starts when the cast begins (not after the effect ends)
-  p.skill1CdUntilMs = startMs + SKILL1_COOLDOWN_MS;
+// Socket closed: keep a resumable character around, drop everything else right away.
+function holdDisconnectedPlayer(p) {
+  cancelTradeFor(p, "Your trade partner disconnected.");
+  p.inputs = { up: false, down: false, left: false, right: false };
+  p.attackHeld = false;
+  p.attackHeldAim = null;
 
-  // Tell caster timings for UI
-  send(ws, { type: "skill1Accepted", center: { x, y }, startMs, endMs, cdUntilMs: p.skill1CdUntilMs });
+  if (!p.charLoaded || !p.resumeToken || RECONNECT_GRACE_MS <= 0) return removeDisconnectedPlayer(p);
 
-  return;
+  p.disconnectedAtMs = Date.now();
+  clearTimeout(p.graceTimer);
+  p.graceTimer = setTimeout(() => removeDisconnectedPlayer(p), RECONNECT_GRACE_MS);
+  console.log(`⏳ Holding ${p.name} for ${Math.round(RECONNECT_GRACE_MS / 1000)}s to reconnect`);
 }
 
-if (msg.type === "skill2DoubleStab") {
-  if (p.hp <= 0 || p.respawnIn > 0) return;
+async function removeDisconnectedPlayer(p) {
+  clearTimeout(p.graceTimer);
+  p.graceTimer = null;
+  if (players.get(p.id) !== p || idToSocket.has(p.id)) return; // already gone, or reclaimed
+
+  p.leavingWorld = true; // setName won't take it over mid-save
+  revokeResumeToken(p);
+  removeFromParty(p, `${p.name} disconnected.`);
+  endDuelFor(p, "Your opponent disconnected.");
+  cancelSkill1ForCaster(p.id);
+  // End any active familiar so it doesn't linger across sessions.
+  p.familiarActive = false;
+  p.familiarTargetMobId = null;
+  p.familiarNextAtkMs = 0;
+  await dbSavePlayer(p);  // ✅ Save state to Postgres
+  players.delete(p.id);
+  console.log(`💾 Saved and removed player: ${p.name || p.id}`);
+}
 
-  // Must have a spear equipped
-  const equippedWeaponId = p.equipment?.weapon;
-  const equippedDef = equippedWeaponId ? ITEMS[equippedWeaponId] : null;
-  const weaponKey = equippedDef?.weaponKey || null;
-  if (weaponKey !== "spear") {
-    send(ws, { type: "skill2Rejected", reason: "Equip a spear to use Skill 2." });
-    return;
+// Boot the socket currently playing `p` (telling it why), hold the character and save it.
+async function kickPlayerSession(p, reason) {
+  const oldWs = idToSocket.get(p.id);
+  if (oldWs) {
+    send(oldWs, { type: "sessionReplaced", reason });
+    socketToId.delete(oldWs);
+    idToSocket.delete(p.id);
+    try { oldWs.close(); } catch {}
   }
+  holdDisconnectedPlayer(p);
+  if (p.leavingWorld) return; // no grace window: already being saved and removed
+  await dbSavePlayer(p);
+  p.lastPersistAt = Date.now();
+}
 
-  const nowMs = Date.now();
-  if (nowMs < (p.skill2CdUntilMs || 0)) {
-    send(ws, { type: "skill2Rejected", reason: "Skill 2 is on cooldown." });
-    return;
+// Move `ws` from its title-screen placeholder onto a held character and resync the client.
+function reattachPlayer(ws, held, extra = {}) {
+  const placeholderId = socketToId.get(ws);
+  if (placeholderId && placeholderId !== held.id) {
+    const placeholder = players.get(placeholderId);
+    if (placeholder?.sessionToken && !held.sessionToken) held.sessionToken = placeholder.sessionToken;
+    players.delete(placeholderId);
+    idToSocket.delete(placeholderId);
   }
+  clearTimeout(held.graceTimer);
+  held.graceTimer = null;
+  held.disconnectedAtMs = 0;
+  socketToId.set(ws, held.id);
+  idToSocket.set(held.id, ws);
 
-  const startMs = nowMs;
-  p.skill2CdUntilMs = startMs + SKILL2_COOLDOWN_MS;
-
-
-  // Optional aim from client (same logic as regular attack)
-  // For spear skills we snap to cardinal directions so the hitbox matches your normal melee behavior.
-  const aimDirX = Number(msg.aimDirX);
-  const aimDirY = Number(msg.aimDirY);
-  const hasAimDir =
-    Number.isFinite(aimDirX) &&
-    Number.isFinite(aimDirY) &&
-    (Math.abs(aimDirX) + Math.abs(aimDirY) > 1e-6);
+  send(ws, {
+    type: "playerResumed",
+    id: held.id,
+    name: held.name,
+    account: held.account,
+    resumeToken: issueResumeToken(held),
+    ...extra,
+  });
+  sendMapChange(ws, held);
+  send(ws, { type: "hotbarState", slots: held.hotbar || new Array(6).fill(null) });
+  send(ws, { type: "savePoint", save: savePointView(held) });
+  send(ws, { type: "monsterBook", book: held.monsterBook || {} });
+  sendQuestLog(held);
+  console.log(`🔌 ${held.name} reconnected`);
+}
 
-  const aimX = Number(msg.aimX);
-  const aimY = Number(msg.aimY);
-  const hasAim = Number.isFinite(aimX) && Number.isFinite(aimY);
+/* ======================
+   CONNECTIONS
+====================== */
+wss.on("connection", (ws) => {
+  const id = newId();
+  socketToId.set(ws, id);
+  idToSocket.set(id, ws);
 
-  if (hasAimDir) {
-    const dx = aimDirX;
-    const dy = aimDirY;
-    const ax = Math.abs(dx);
-    const ay = Math.abs(dy);
-    if (ax > ay) p.facing = { x: dx >= 0 ? 1 : -1, y: 0 };
-    else if (ay > 0) p.facing = { x: 0, y: dy >= 0 ? 1 : -1 };
-  } else if (hasAim) {
-    const dx = aimX - p.x;
-    const dy = aimY - p.y;
-    const ax = Math.abs(dx);
-    const ay = Math.abs(dy);
-    if (ax > ay) p.facing = { x: dx >= 0 ? 1 : -1, y: 0 };
-    else if (ay > 0) p.facing = { x: 0, y: dy >= 0 ? 1 : -1 };
-  }
+  // Start in sanctuary
+  const mapId = "C";
+  const spawn = findSpawn(mapId, PLAYER_FOOT_RADIUS);
 
-  // Cache a discrete attack direction for clients (used for rendering during atkAnim)
-  {
-    const fx = p.facing?.x ?? 0;
-    const fy = p.facing?.y ?? 0;
-    const ax = Math.abs(fx);
-    const ay = Math.abs(fy);
-    if (ax > ay) p.atkDir = (fx >= 0 ? "right" : "left");
-    else if (ay > 0) p.atkDir = (fy >= 0 ? "down" : "up");
-  }
+  players.set(id, {
+    id,
+    name: "Player",
+    account: null,      // set by "login"/"resumeSession"
+    sessionToken: null,
+    charLoaded: false,  // true once "setName" has loaded/created a character
+    resumeToken: null,  // lets a new socket reclaim this character (see RECONNECT GRACE)
+    disconnectedAtMs: 0,
+    graceTimer: null,
+    leavingWorld: false, // set while the final save before removal runs
+    mapId,
+    x: spawn.x,
+    y: spawn.y,
+    inputs: { up: false, down: false, left: false, right: false },
 
+    // facing for directional attacks
+    facing: { x: 0, y: 1 },
 
-  // Broadcast for visuals (map-scoped)
-  broadcastToMap(p.mapId, { type: "skill2Fx", casterId: p.id, startMs });
+    // weapons
+    weapon: null,
 
-  const baseAtk = getPlayerAttack(p);
+    // leveling
+    level: 1,
+    xp: 0,
+    xpNext: xpToNext(1),
+    atk: PLAYER_BASE_ATK,
+    weaponBonus: 0,
+    speed: 100,
+    speedBonus: 0,
+    // allocated stat points (see STATS)
+    stats: { str: 0, vit: 0, agi: 0, int: 0 },
+    // gear bonuses (see recomputePlayerBonuses)
+    defense: 0,
+    maxHpBonus: 0,
+    atkBonus: 0,
+    // Basic attack can hit this many mobs (weapon mastery raises this, see SKILL REGISTRY)
+    basicHitCap: 1,
+    // points invested per skill (see SKILL REGISTRY)
+    skillRanks: {},
+    hp: PLAYER_BASE_MAX_HP,
+    maxHp: PLAYER_BASE_MAX_HP,
+    baseMaxHp: PLAYER_BASE_MAX_HP,
 
-  // Helper: apply one stab with slight "jut"
-  const applyStab = (stabIndex) => {
-    // Animate like a regular spear attack (client reads p.atkAnim)
-    p.atkAnim = SKILL2_ATK_ANIM;
+    // loot
+    gold: 0,
 
-    // Slightly rotate the facing vector so it "juts" a bit left/right
-    const f = norm(p.facing || { x: 0, y: 1 });
-    const a = (stabIndex === 0 ? -1 : 1) * SKILL2_JUT_ANGLE;
-    const dx = f.x * Math.cos(a) - f.y * Math.sin(a);
-    const dy = f.x * Math.sin(a) + f.y * Math.cos(a);
-    const dir = { x: dx, y: dy };
 
-    const OFFSET = SKILL2_SPEAR_OFFSET;
-    const RADIUS = SKILL2_SPEAR_RADIUS;
+    // equipment (server authoritative)
+    equipment: { weapon: null, armor: null, hat: null, accessory: null },
 
-    for (const m of mobs.values()) {
-      if (m.mapId !== p.mapId) continue;
-      if (m.respawnIn > 0) continue;
-      if (m.hp <= 0) continue;
+    // hotbar (server authoritative, persisted)
+    hotbar: new Array(6).fill(null),
 
-      if (meleeHitTestDir(p, m, dir, OFFSET, RADIUS)) {
-        const dmg = Math.max(1, Math.floor(baseAtk * 0.9));
-        m.hp -= dmg;
-        m.lastHitBy = p.id;
+    // inventory (server authoritative)
+    inventory: createDefaultInventory(),
 
-        // Big knockback if this single hit is strong enough.
-        maybeBigKnockback(m, p.x, p.y, dmg, getPlayerWeaponKnockbackMul(p));
-// Aggro mobs on hit (server-wide aggro system)
-        setMobAggro(m, p.id);
+    // quests (server authoritative, see QUESTS)
+    quests: {},
+    // monster book (server authoritative)
+    monsterBook: {},
 
-        // Combat text / hit FX (match regular attacks: client listens for type:"hit")
-        broadcastToMap(p.mapId, {
-          type: "hit",
-          targetId: m.id,
-          targetKind: "mob",
-          srcX: p.x,
-          srcY: p.y,
-          amount: dmg,
-          fx: "stab",
-        });
+    // persistence bookkeeping
+    lastPersistAt: 0,
 
-        if (m.hp <= 0) {
-          killMobAndReward(m, p.id);
-        }
-      }
-    }
-  };
+// skills (server authoritative timers, keyed by SKILL_REGISTRY id)
+skillCdUntil: {},     // skillId -> ms when the cooldown ends
+skillActiveUntil: {}, // skillId -> ms when a lingering effect ends (blocks recasting)
 
-  applyStab(0);
-  setTimeout(() => {
-    // if player moved maps / disconnected, stop second stab
-    const p2 = players.get(p.id);
-    if (!p2) return;
-    if (p2.mapId !== p.mapId) return;
-    applyStab(1);
-  }, SKILL2_GAP_MS);
+// status effects (see STATUS EFFECTS)
+effects: {},
 
-  // Tell caster cooldown timing for UI (optional; snapshot also carries it)
-  send(ws, { type: "skill2Accepted", cdUntilMs: p.skill2CdUntilMs });
-  return;
-}
+	// ===== Skill 5 (wand): Familiar =====
+	// When active, a familiar follows the player. Whenever the player hits a mob with a normal wand bolt,
+	// the familiar targets that mob and applies small damage once per second until the mob dies or a new
+	// target is assigned (by hitting a different mob). Leaving the map cancels the skill.
+	familiarActive: false,
+	familiarTargetMobId: null,
+	familiarNextAtkMs: 0,
 
+	// ===== Skill 6 (wand): Healing Cloud =====
+	// Summons a stationary cloud above the player that periodically heals them while active.
+	// The cloud lasts until skillActiveUntil.skill6.
+	skill6NextHealMs: 0,
+	skill6CloudX: 0,
+	skill6CloudY: 0,
 
-// ===== Skill 3: Dash Slash (sword-only) =====
-// A short dash in your aimed direction, then a strong sword slash at the end.
-// Uses cardinal directions (like your other melee) and stops early if you hit a wall/object.
-if (msg.type === "skill3DashSlash") {
-  if (p.hp <= 0 || p.respawnIn > 0) return;
+// combat timers
 
-  // Must have a sword equipped
-  const equippedWeaponId = p.equipment?.weapon;
-  const equippedDef = equippedWeaponId ? ITEMS[equippedWeaponId] : null;
-  const weaponKey = equippedDef?.weaponKey || null;
-  if (weaponKey !== "sword") {
-    send(ws, { type: "skill3Rejected", reason: "Equip a sword to use Skill 3." });
-    return;
-  }
+    atkAnim: 0,
+    atkCd: 0,
+    atkKind: null,
+    invuln: 0,
 
-  const nowMs = Date.now();
-  if (nowMs < (p.skill3CdUntilMs || 0)) {
-    send(ws, { type: "skill3Rejected", reason: "Skill 3 is on cooldown." });
-    return;
-  }
+    // basic attack movement/facing lock window (ms timestamp)
+    basicAtkLockUntilMs: 0,
 
-  const baseAtk = getPlayerAttack(p);
+    // hold-to-attack state (mouse held)
+    attackHeld: false,
+    attackHeldAim: null,
 
-  const startMs = nowMs;
-  p.skill3CdUntilMs = startMs + SKILL3_COOLDOWN_MS;
+    // portal anti-loop (ms timestamp). We now spawn ON portal tiles, so we prevent instant re-use.
+    portalCdUntilMs: 0,
 
-  // Optional aim from client; snap to cardinal direction
-  const aimDirX = Number(msg.aimDirX);
-  const aimDirY = Number(msg.aimDirY);
-  const hasAimDir =
-    Number.isFinite(aimDirX) &&
-    Number.isFinite(aimDirY) &&
-    (Math.abs(aimDirX) + Math.abs(aimDirY) > 1e-6);
+    // save + respawn
+    save: null,     // bound save statue: {mapId,statueId,name} (see SAVE STATUES & DEATH)
+    respawnIn: 0,   // seconds
 
-  const aimX = Number(msg.aimX);
-  const aimY = Number(msg.aimY);
-  const hasAim = Number.isFinite(aimX) && Number.isFinite(aimY);
+    // dialogue giveItem actions already handed out (see runDialogueActions)
+    dialogueGrants: {},
+  });
 
-  if (hasAimDir) {
-    const dx = aimDirX;
-    const dy = aimDirY;
-    const ax = Math.abs(dx);
-    const ay = Math.abs(dy);
-    if (ax > ay) p.facing = { x: dx >= 0 ? 1 : -1, y: 0 };
-    else if (ay > 0) p.facing = { x: 0, y: dy >= 0 ? 1 : -1 };
-  } else if (hasAim) {
-    const dx = aimX - p.x;
-    const dy = aimY - p.y;
-    const ax = Math.abs(dx);
-    const ay = Math.abs(dy);
-    if (ax > ay) p.facing = { x: dx >= 0 ? 1 : -1, y: 0 };
-    else if (ay > 0) p.facing = { x: 0, y: dy >= 0 ? 1 : -1 };
-  }
+  send(ws, {
+    type: "welcome",
+    id,
+    ...staticMapPayload(mapId),
+    playerRadius: PLAYER_RADIUS,
+    weapons: WEAPONS,
+    mobCatalog: MOB_CATALOG,
+    skillCatalog: skillCatalogPayload(),
+    monsterBook: (players.get(id)?.monsterBook) || {},
+  });
+  getSnapshotState(ws).mapId = mapId; // welcome already carried this map's static data
 
-  // Cache a discrete attack direction for clients (used for rendering during atkAnim)
-  {
-    const fx = p.facing?.x ?? 0;
-    const fy = p.facing?.y ?? 0;
-    const ax = Math.abs(fx);
-    const ay = Math.abs(fy);
-    if (ax > ay) p.atkDir = (fx >= 0 ? "right" : "left");
-    else if (ay > 0) p.atkDir = (fy >= 0 ? "down" : "up");
-  }
+ws.on("message", async (buf) => {
+    let msg;
+    try { msg = JSON.parse(buf.toString()); } catch { return; }
 
-  const fromX = p.x;
-  const fromY = p.y;
+    const pid = socketToId.get(ws);
+    const p = players.get(pid);
+    if (!p) return;
 
-  // Dash contact damage: as you pass through/near mobs during the dash, apply a small hit once per mob.
-  // This makes the skill feel reliable even if you end up on the far side of a target.
-  const dashHitMobIds = new Set();
-  const dashDmg = Math.max(1, Math.floor(baseAtk * SKILL3_DASH_DAMAGE_MULT));
+    // Client applied snapshot `seq`; later snapshots are diffed against it (0 = send a full one).
+    if (msg.type === "snapshotAck") {
+      ackSnapshot(ws, msg.seq);
+      return;
+    }
 
-  // Dash forward in small steps so we don't "phase" through walls.
-  const f = norm(p.facing || { x: 0, y: 1 });
-  const step = SKILL3_DASH_DIST_PX / SKILL3_DASH_STEPS;
-  for (let i = 0; i < SKILL3_DASH_STEPS; i++) {
-    const nx = p.x + f.x * step;
-    const ny = p.y + f.y * step;
-    if (collidesPlayer(p.mapId, nx, ny)) break;
-    p.x = nx;
-    p.y = ny;
+    // Client lost its copy of the static layers (e.g. leaving the editor's standalone map view).
+    if (msg.type === "requestMapData") {
+      send(ws, { type: "mapData", ...staticMapPayload(p.mapId) });
+      return;
+    }
 
-    // Apply small contact damage during the dash (once per mob) so you don't harmlessly pass through.
-    // Uses a simple overlap check (player foot radius + mob radius + padding).
-    for (const m of mobs.values()) {
-      if (m.mapId !== p.mapId) continue;
-      if (m.respawnIn > 0) continue;
-      if (m.hp <= 0) continue;
-      if (dashHitMobIds.has(m.id)) continue;
+    // Account login / registration. Replies loginAccepted (with a session token and the
+    // account's characters) or loginRejected.
+    if (msg.type === "login") {
+      const username = (msg.username ?? "").toString().trim();
+      const password = (msg.password ?? "").toString();
+      const register = msg.mode === "register";
 
-      const mr = (m && Number.isFinite(m.radius)) ? m.radius : MOB_RADIUS;
-      const hitRad = PLAYER_FOOT_RADIUS + mr + SKILL3_DASH_CONTACT_PAD;
-      if (dist(p.x, p.y, m.x, m.y) <= hitRad) {
-        dashHitMobIds.add(m.id);
-        m.hp -= dashDmg;
-        m.lastHitBy = p.id;
+      if (p.charLoaded) {
+        send(ws, { type: "loginRejected", reason: "Already playing a character." });
+        return;
+      }
+      if (!ACCOUNT_NAME_RE.test(username)) {
+        send(ws, { type: "loginRejected", reason: "Account name must be 3-16 letters or digits." });
+        return;
+      }
+      if (password.length < ACCOUNT_PASSWORD_MIN || password.length > ACCOUNT_PASSWORD_MAX) {
+        send(ws, { type: "loginRejected", reason: `Password must be ${ACCOUNT_PASSWORD_MIN}-${ACCOUNT_PASSWORD_MAX} characters.` });
+        return;
+      }
 
-        // Big knockback if this single hit is strong enough.
-        maybeBigKnockback(m, p.x, p.y, dashDmg, getPlayerWeaponKnockbackMul(p));
-setMobAggro(m, p.id);
+      let account = null;
+      if (register) {
+        const { salt, hash } = await hashPassword(password);
+        if (!(await dbCreateAccount(username, salt, hash))) {
+          send(ws, { type: "loginRejected", reason: "That account name is already taken." });
+          return;
+        }
+        console.log(`🆕 New account: ${username}`);
+        account = username;
+      } else {
+        const lockMs = loginLockoutMs(username);
+        if (lockMs > 0) {
+          send(ws, { type: "loginRejected", reason: `Too many failed attempts. Try again in ${Math.ceil(lockMs / 1000)}s.` });
+          return;
+        }
+        const row = await dbLoadAccount(username);
+        const ok = row ? await verifyPassword(password, row.pw_salt, row.pw_hash) : false;
+        if (!ok) {
+          noteLoginFailure(username);
+          send(ws, { type: "loginRejected", reason: "Wrong account name or password." });
+          return;
+        }
+        loginFailures.delete(accountKey(username));
+        account = row.username;
+      }
 
-        broadcastToMap(p.mapId, {
-          type: "hit",
-          targetId: m.id,
-          targetKind: "mob",
-          srcX: p.x,
-          srcY: p.y,
-          amount: dashDmg,
-          fx: "dash",
-        });
+      if (p.sessionToken) sessions.delete(p.sessionToken);
+      p.account = account;
+      p.sessionToken = issueSessionToken(account);
+      send(ws, {
+        type: "loginAccepted",
+        account,
+        token: p.sessionToken,
+        characters: await dbListCharactersForAccount(account),
+        maxCharacters: ACCOUNT_MAX_CHARACTERS,
+      });
+      return;
+    }
 
-        if (m.hp <= 0) killMobAndReward(m, p.id);
+    // Reconnecting socket presents the token from its last loginAccepted instead of the password.
+    if (msg.type === "resumeSession") {
+      const account = p.charLoaded ? null : resolveSessionToken(msg.token);
+      if (!account) {
+        send(ws, { type: "sessionRejected", reason: "Your session has expired. Please log in again." });
+        return;
       }
+      p.account = account;
+      p.sessionToken = msg.token.toString();
+      send(ws, {
+        type: "loginAccepted",
+        account,
+        token: p.sessionToken,
+        characters: await dbListCharactersForAccount(account),
+        maxCharacters: ACCOUNT_MAX_CHARACTERS,
+        resumed: true,
+      });
+      return;
     }
-  }
-  clampToWorldPlayer(p.mapId, p);
 
-  // Animate + briefly lock out normal attacks
-  p.atkAnim = Math.max(p.atkAnim || 0, SKILL3_ATK_ANIM);
-  // Dash Slash uses the normal sword visuals
-  p.atkKind = null;
-  p.atkCd = Math.max(p.atkCd || 0, SKILL3_ATK_LOCK_SEC);
+    // Reconnecting socket reclaims a character still held in the reconnect grace window.
+    if (msg.type === "resumePlayer") {
+      const held = players.get(resumeTokens.get((msg.token ?? "").toString()));
+      if (p.charLoaded || !isHeldForReconnect(held)) {
+        send(ws, { type: "resumeRejected", reason: "That session is no longer available." });
+        return;
+      }
+      reattachPlayer(ws, held);
+      return;
+    }
 
-  // Apply a stronger sword slash at the end of the dash
-  const dmg = Math.max(1, Math.floor(baseAtk * SKILL3_DAMAGE_MULT));
-  for (const m of mobs.values()) {
-    if (m.mapId !== p.mapId) continue;
-    if (m.respawnIn > 0) continue;
-    if (m.hp <= 0) continue;
+    if (msg.type === "logout") {
+      if (p.sessionToken) sessions.delete(p.sessionToken);
+      p.sessionToken = null;
+      if (!p.charLoaded) p.account = null;
+      send(ws, { type: "loggedOut" });
+      return;
+    }
 
-    if (swordHitTest(p, m)) {
-      m.hp -= dmg;
-      m.lastHitBy = p.id;
+	   if (msg.type === "setName") {
+	  const raw = (msg.name ?? "").toString().trim();
+	  const mode = msg.mode === "create" ? "create" : "load";
+	  if (!p.account) {
+		send(ws, { type: "nameRejected", reason: "Please log in first." });
+		return;
+	  }
+	  if (p.charLoaded) {
+		send(ws, { type: "nameRejected", reason: "Already playing a character." });
+		return;
+	  }
+	  if (!/^[A-Za-z]{4,8}$/.test(raw)) {
+		send(ws, { type: "nameRejected", reason: "Name must be letters only (4-8 chars)." });
+		return;
+	  }
 
-      setMobAggro(m, p.id);
+	  const existingRow = await dbLoadPlayerByName(raw);
+	  const ownedBy = existingRow ? accountKey(existingRow.account) : "";
+	  if (existingRow && ownedBy && ownedBy !== accountKey(p.account)) {
+		send(ws, { type: "nameRejected", reason: mode === "create" ? "That character name is already taken." : "That character belongs to another account." });
+		return;
+	  }
+	  if (mode === "load" && !existingRow) {
+		send(ws, { type: "nameRejected", reason: "No character with that name on this account." });
+		return;
+	  }
+	  // Characters saved before accounts existed (no owner) are only linked by an admin (see linkLegacyCharacters).
+	  if (existingRow && !ownedBy) {
+		send(ws, { type: "nameRejected", reason: "That character was saved before accounts existed. Ask an admin to link it to your account." });
+		return;
+	  }
+	  if (mode === "create" && existingRow) {
+		send(ws, { type: "nameRejected", reason: "You already have a character with that name." });
+		return;
+	  }
+	  if (mode === "create") {
+		const owned = await dbListCharactersForAccount(p.account);
+		if (owned.length >= ACCOUNT_MAX_CHARACTERS) {
+		  send(ws, { type: "nameRejected", reason: `An account can have at most ${ACCOUNT_MAX_CHARACTERS} characters.` });
+		  return;
+		}
+		if (!(await dbClaimCharacterName(raw, p.account))) {
+		  send(ws, { type: "nameRejected", reason: "That character name is already taken." });
+		  return;
+		}
+	  }
 
-      broadcastToMap(p.mapId, {
-        type: "hit",
-        targetId: m.id,
-        targetKind: "mob",
-        srcX: p.x,
-        srcY: p.y,
-        amount: dmg,
-        fx: "dashslash",
-      });
+	  // The character may still be in the world: held after a dropped connection, or playing on
+	  // another socket. Take that copy over instead of loading a second one from the save, so two
+	  // sessions never autosave over each other.
+	  const live = findPlayerByName(raw, { includeHeld: true });
+	  if (mode === "load" && live) {
+		if (live.leavingWorld) {
+		  send(ws, { type: "nameRejected", reason: "That character is still being saved. Try again in a moment." });
+		  return;
+		}
+		const tookOver = !isHeldForReconnect(live);
+		if (tookOver) await kickPlayerSession(live, "This character was logged in from another session.");
+		if (!isHeldForReconnect(live) || socketToId.get(ws) !== pid) {
+		  send(ws, { type: "nameRejected", reason: "That character is still being saved. Try again in a moment." });
+		  return;
+		}
+		send(ws, { type: "nameAccepted", name: live.name, mode });
+		reattachPlayer(ws, live, { tookOver });
+		return;
+	  }
 
-      if (m.hp <= 0) killMobAndReward(m, p.id);
-    }
-  }
+	  p.name = existingRow?.name || raw;
+	  p.charLoaded = true;
 
-  // Broadcast dash FX for visuals (optional client-side)
-  broadcastToMap(p.mapId, {
-    type: "skill3Fx",
-    casterId: p.id,
-    startMs,
-    from: { x: fromX, y: fromY },
-    to: { x: p.x, y: p.y },
-    dir: { x: p.facing?.x ?? 0, y: p.facing?.y ?? 1 },
-  });
+	  if (existingRow) {
+		console.log(`🔁 Loaded player from DB: ${p.name}`);
+		applyRowToPlayer(p, existingRow);
+		p.lastPersistAt = Date.now();
+	  } else {
+		console.log(`🆕 New player: ${p.name}`);
+		p.lastPersistAt = Date.now();
+		// Brand new character: always start on Map C at tile (16,5)
+		applyFixedSpawn(p);
+		p.save = null; // no statue bound yet: respawn at DEFAULT_SPAWN
+		// Ensure full HP on first join
+		p.hp = p.maxHp;
+	  }
 
-  send(ws, { type: "skill3Accepted", cdUntilMs: p.skill3CdUntilMs });
-  return;
-}
+	  if (mode === "create") {
+		// Write the claimed name's full save right away, then let go of the reservation.
+		try { await dbSavePlayer(p); } finally { releaseCharacterNameClaim(p.name); }
+	  }
+	  // A freshly created character goes straight back to the title screen, so only played ones are resumable.
+	  const resumeToken = mode === "load" ? issueResumeToken(p) : null;
+	  send(ws, { type: "nameAccepted", name: p.name, mode, resumeToken });
+	  // send persisted hotbar to client (so it loads across logins)
+	  send(ws, { type: "hotbarState", slots: p.hotbar || new Array(6).fill(null) });
+	  send(ws, { type: "savePoint", save: savePointView(p) });
+	  sendQuestLog(p);
+	  return;
+	}
 
-if (msg.type === "skill4WideSlash") {
-  if (p.hp <= 0 || p.respawnIn > 0) return;
+    if (msg.type === "saveAndLogout") {
+      revokeResumeToken(p); // deliberate exit: no reconnect grace when the socket closes
+      try {
+        if (p.name) {
+          await dbSavePlayer(p);
+          p.lastPersistAt = Date.now();
+        }
+        send(ws, { type: "saveAndLogoutComplete", name: p.name || null });
+      } catch (err) {
+        console.error("⚠️ saveAndLogout failed:", err?.message || err);
+        send(ws, { type: "saveAndLogoutComplete", name: p.name || null });
+      }
+      return;
+    }
 
-  // Must have a sword equipped
-  const equippedWeaponId = p.equipment?.weapon;
-  const equippedDef = equippedWeaponId ? ITEMS[equippedWeaponId] : null;
-  const weaponKey = equippedDef?.weaponKey || null;
-  if (weaponKey !== "sword") {
-    send(ws, { type: "skill4Rejected", reason: "Equip a sword to use Skill 4." });
-    return;
-  }
+    if (msg.type === "setHotbar") {
+      const inSlots = Array.isArray(msg.slots) ? msg.slots : [];
+      const out = new Array(6).fill(null);
 
-  const nowMs = Date.now();
-  if (nowMs < (p.skill4CdUntilMs || 0)) {
-    send(ws, { type: "skill4Rejected", reason: "Skill 4 is on cooldown." });
-    return;
-  }
+      for (let i = 0; i < 6; i++) {
+        const s = inSlots[i];
+        if (!s || typeof s !== "object") { out[i] = null; continue; }
 
-  const startMs = nowMs;
-  p.skill4CdUntilMs = startMs + SKILL4_COOLDOWN_MS;
+        if (s.type === "skill" && typeof s.id === "string") {
+          // Allow only castable registry skills (passives can't sit on the hotbar)
+          const def = SKILL_REGISTRY[s.id];
+          out[i] = (def && !def.passive) ? { type: "skill", id: s.id } : null;
+          continue;
+        }
 
-  // Aim direction, same rules as basic attack: prefer aimDirX/aimDirY, fall back to aimX/aimY.
-  const aimDirX = Number(msg.aimDirX);
-  const aimDirY = Number(msg.aimDirY);
-  const hasAimDir =
-    Number.isFinite(aimDirX) &&
-    Number.isFinite(aimDirY) &&
-    (Math.abs(aimDirX) + Math.abs(aimDirY) > 1e-6);
+        if (s.type === "item") {
+          const itemId = (typeof s.itemId === "string") ? s.itemId : ((typeof s.id === "string") ? s.id : "");
+          if (!itemId || !ITEMS[itemId]) { out[i] = null; continue; }
+          const preferSlot = Number.isInteger(s.preferSlot) ? s.preferSlot : undefined;
+          out[i] = preferSlot === undefined ? { type: "item", itemId } : { type: "item", itemId, preferSlot };
+          continue;
+        }
 
-  const aimX = Number(msg.aimX);
-  const aimY = Number(msg.aimY);
-  const hasAim = Number.isFinite(aimX) && Number.isFinite(aimY);
+        out[i] = null;
+      }
 
-  if (hasAimDir) {
-    const dx = aimDirX;
-    const dy = aimDirY;
-    const ax = Math.abs(dx);
-    const ay = Math.abs(dy);
-    if (ax > ay) p.facing = { x: dx >= 0 ? 1 : -1, y: 0 };
-    else if (ay > 0) p.facing = { x: 0, y: dy >= 0 ? 1 : -1 };
-  } else if (hasAim) {
-    const dx = aimX - p.x;
-    const dy = aimY - p.y;
-    if (Math.abs(dx) + Math.abs(dy) > 1e-6) {
-      const ax = Math.abs(dx);
-      const ay = Math.abs(dy);
-      if (ax > ay) p.facing = { x: dx >= 0 ? 1 : -1, y: 0 };
-      else p.facing = { x: 0, y: dy >= 0 ? 1 : -1 };
+      p.hotbar = out;
+      send(ws, { type: "hotbarState", slots: p.hotbar });
+      return;
     }
-  }
 
-  // Cache a discrete attack direction for clients (used for rendering during atkAnim)
-  {
-    const fx = p.facing?.x ?? 0;
-    const fy = p.facing?.y ?? 0;
-    const ax = Math.abs(fx);
-    const ay = Math.abs(fy);
-    if (ax > ay) p.atkDir = (fx >= 0 ? "right" : "left");
-    else if (ay > 0) p.atkDir = (fy >= 0 ? "down" : "up");
-  }
 
-  // Animate sword swing with a slightly longer arc
-  p.atkAnim = Math.max(p.atkAnim || 0, SKILL4_ATK_ANIM);
-  p.atkKind = "skill4";
+// DEV: spawn an item directly into your inventory (testing convenience)
+// Client hotkey: F9 (see index.html)
+if (msg.type === "devSpawnItem") {
+  if (!ENABLE_DEV_SPAWN) return;
 
-  // Apply hits: up to SKILL4_MAX_HITS mobs using the extended sword test
-  let hits = 0;
-  const dmg = getPlayerAttack(p);
+  const itemId = (msg.itemId ?? "").toString();
+  if (!itemId || !ITEMS[itemId]) {
+    send(ws, { type: "devSpawnResult", ok: false, reason: "Unknown itemId" });
+    return;
+  }
 
-  const candidates = [];
-  for (const m of mobs.values()) {
-    if (m.mapId !== p.mapId) continue;
-    if (m.respawnIn > 0) continue;
-    if (m.hp <= 0) continue;
-    if (!swordHitTestSkill4(p, m)) continue;
+  let qty = parseInt(msg.qty, 10);
+  if (!Number.isFinite(qty) || qty <= 0) qty = 1;
+  qty = Math.min(999, qty);
 
-    const dx = m.x - p.x;
-    const dy = m.y - p.y;
-    candidates.push({ m, d2: dx * dx + dy * dy });
+  // Optional: force a specific weapon roll (for testing)
+  const weaponBonus = Number.isFinite(msg.weaponBonus) ? msg.weaponBonus : null;
+  const ok = addItemToInventory(p, itemId, qty, weaponBonus);
+  if (!ok) {
+    send(ws, { type: "devSpawnResult", ok: false, reason: "Inventory full" });
+    return;
   }
 
-  // Prioritize the closest mobs so visuals feel natural
-  candidates.sort((a, b) => a.d2 - b.d2);
+  send(ws, { type: "devSpawnResult", ok: true, itemId, qty });
+  return;
+}
 
-  for (const { m } of candidates) {
-    if (hits >= SKILL4_MAX_HITS) break;
-    hits++;
 
-    m.hp -= dmg;
-    m.lastHitBy = p.id;
+    if (msg.type === "input") {
+      p.inputs.up = !!msg.up;
+      p.inputs.down = !!msg.down;
+      p.inputs.left = !!msg.left;
+      p.inputs.right = !!msg.right;
 
-    maybeBigKnockback(m, p.x, p.y, dmg, getPlayerWeaponKnockbackMul(p));
-setMobAggro(m, p.id);
+      // update facing only when some direction is pressed
+      const hasDir = p.inputs.up || p.inputs.down || p.inputs.left || p.inputs.right;
+      if (hasDir) {
+        // Don't let movement inputs overwrite the attack-facing while an attack animation OR
+        // basic-attack lock window is active.
+        const nowMs = Date.now();
+        if (p.atkAnim <= 0 && nowMs >= (p.basicAtkLockUntilMs || 0)) {
+          p.facing = facingFromInputs(p.inputs, p.facing);
+        }
+      }
 
-    broadcastToMap(p.mapId, {
-      type: "hit",
-      targetId: m.id,
-      targetKind: "mob",
-      srcX: p.x,
-      srcY: p.y,
-      amount: dmg,
-      fx: "bigslash",
-    });
+      return;
+    }
 
-    if (m.hp <= 0) killMobAndReward(m, p.id);
-  }
 
-  send(ws, { type: "skill4Accepted", cdUntilMs: p.skill4CdUntilMs });
-  return;
-}
+    // ===== Skills =====
+    // Every active skill goes through one message: { skillId, aim: {x,y} | {dirX,dirY} }.
+    // What a skill does (weapon, cooldown, hit shape, FX) lives in SKILL_REGISTRY.
+    if (msg.type === "castSkill") {
+      if (p.hp <= 0 || p.respawnIn > 0) return;
+      const skillId = String(msg.skillId || "");
+      const reason = castSkill(p, ws, skillId, msg.aim);
+      if (reason) send(ws, { type: "skillCastRejected", skillId, reason });
+      return;
+    }
 
 
     if (msg.type === "invClick") {
@@ -3125,6 +4901,55 @@ setMobAggro(m, p.id);
     }
 
 
+    // Spend free stat points: { stat: "str"|"vit"|"agi"|"int", amount? }
+    if (msg.type === "allocateStat") {
+      const stat = String(msg.stat || "");
+      if (!STAT_KEYS.includes(stat)) return;
+      const amount = Math.max(1, Math.floor(Number(msg.amount) || 1));
+      if (amount > statPointsFree(p)) {
+        send(ws, { type: "statRejected", reason: "Not enough stat points." });
+        return;
+      }
+      p.stats = sanitizeStats(p.stats);
+      p.stats[stat] += amount;
+      recomputePlayerBonuses(p);
+      return;
+    }
+
+    // Spend one skill point on the next rank of a skill: { skillId }
+    if (msg.type === "learnSkill") {
+      const skillId = String(msg.skillId || "");
+      const blocker = skillLearnBlocker(p, skillId);
+      if (blocker) {
+        send(ws, { type: "skillRejected", reason: blocker });
+        return;
+      }
+      p.skillRanks = sanitizeSkillRanks(p.skillRanks);
+      p.skillRanks[skillId] = skillRank(p, skillId) + 1;
+      recomputePlayerBonuses(p);
+      send(ws, { type: "skillLearned", skillId, level: skillLevel(p, skillId) });
+      return;
+    }
+
+    // Paid reset: refund every allocated point.
+    if (msg.type === "resetStats") {
+      const st = sanitizeStats(p.stats);
+      if (STAT_KEYS.every((k) => st[k] === 0)) {
+        send(ws, { type: "statRejected", reason: "No points to reset." });
+        return;
+      }
+      const cost = statResetCost(p);
+      if (p.gold < cost) {
+        send(ws, { type: "statRejected", reason: `A reset costs ${cost} gold.` });
+        return;
+      }
+      spendGold(p, cost);
+      p.stats = sanitizeStats(null);
+      recomputePlayerBonuses(p);
+      send(ws, { type: "statsReset", cost });
+      return;
+    }
+
     if (msg.type === "unequip") {
       if (p.hp <= 0 || p.respawnIn > 0) return;
       const slotName = String(msg.slot || "");
@@ -3205,6 +5030,7 @@ if (msg.type === "editTile") {
 
       if (!Number.isInteger(tx) || !Number.isInteger(ty) || !Number.isInteger(tile)) return;
       if (tx < 0 || ty < 0 || tx >= m0.w || ty >= m0.h) return;
+      invalidateMobNav(p.mapId);
 
       // Avoid breaking portals/statues accidentally (use code for those for now).
       const currGround = m0.map[ty][tx];
@@ -3317,10 +5143,16 @@ if (msg.type === "editTile") {
 
       const fromMapId = p.mapId;
       const sp = findPortalSpawn(to, fromMapId, portal);
+      if (!sp) {
+        const reason = portalDestProblem(portal) || "Portal destination is blocked.";
+        console.warn(`⚠️ Portal ${fromMapId}(${portal.x},${portal.y}) -> ${to} rejected: ${reason}`);
+        send(ws, { type: "portalRejected", reason });
+        return;
+      }
 
       // If the player leaves the map, any active Skill 1 effects they own should end immediately.
       cancelSkill1ForCaster(p.id);
-      p.skill1ActiveUntilMs = 0;
+      delete p.skillActiveUntil.skill1;
       p.skill1Primed = false;
 
       // Leaving the map should keep Skill 5 toggled, but clear its current target.
@@ -3330,7 +5162,7 @@ if (msg.type === "editTile") {
 
       // Leaving the map should also cancel any active Healing Cloud (Skill 6)
       // so that it does not resume when returning to this or another map.
-      p.skill6CloudUntilMs = 0;
+      delete p.skillActiveUntil.skill6;
       p.skill6NextHealMs = 0;
       p.skill6CloudX = 0;
       p.skill6CloudY = 0;
@@ -3338,6 +5170,8 @@ if (msg.type === "editTile") {
       p.mapId = to;
       p.x = sp.x;
       p.y = sp.y;
+      sendMapChange(ws, p);
+      questOnVisitMap(p, to);
 
       // Arm cooldown AFTER successful travel.
       p.portalCdUntilMs = nowMs + 450;
@@ -3352,46 +5186,411 @@ if (msg.type === "editTile") {
       if (!npc) return;
       if (npc.mapId !== p.mapId) return;
 
-      const INTERACT_RANGE = 80;
       if (dist(p.x, p.y, npc.x, npc.y) > INTERACT_RANGE) return;
 
+      if (npc.saveStatue) {
+        bindSavePoint(p, ws, npc);
+        return;
+      }
+
+      questOnTalk(p, npcId);
+
+      const tree = dialogueTreeFor(npc);
+      if (tree) {
+        showDialogueNode(p, ws, npc, tree.start || "root");
+        return;
+      }
+      if (npc.shop && openShop(p, ws, npc)) return;
+      if (handleQuestNpcInteract(p, ws, npc)) return;
+
+      send(ws, { type: "dialogue", npcId, npcName: npc.name || npcId, text: "..." });
+      return;
+    }
+
+    // Player picked option `index` of the node they're looking at.
+    if (msg.type === "dialogueChoice") {
+      const d = p.dialogue;
+      const npc = d ? npcs.get(d.npcId) : null;
+      const node = npc ? dialogueTreeFor(npc)?.nodes?.[d.nodeId] : null;
+      const choice = node?.choices?.[Number(msg.index)];
+      if (!npc || String(msg.npcId || "") !== npc.id || !choice) return;
+      if (p.hp <= 0 || p.respawnIn > 0 || npc.mapId !== p.mapId || dist(p.x, p.y, npc.x, npc.y) > DIALOGUE_RANGE ||
+          !dialogueCondMet(p, choice.if)) {
+        endDialogue(p, ws);
+        return;
+      }
+
+      runDialogueActions(p, ws, npc, choice.actions, `${npc.id}:${d.nodeId}#${Number(msg.index)}`);
+      if (choice.next) showDialogueNode(p, ws, npc, choice.next);
+      else endDialogue(p, ws);
+      return;
+    }
+
+    if (msg.type === "dialogueClose") {
+      p.dialogue = null;
+      return;
+    }
 
-      // Special NPC: Jangoon starter quest (kill 10 green slimes -> Red Duke)
-      if (npcId === "npc_jangoon") {
-        const q = getJangoonQuest(p);
-        const NEED = 10;
+    // Buy from the open shop: { itemId, qty } from its list, or { buyback: index }.
+    if (msg.type === "shopBuy") {
+      const shop = activeShop(p);
+      if (!shop) {
+        send(ws, { type: "shopRejected", reason: "You're too far from the shop." });
+        return;
+      }
 
-        if (!q.started) {
-          q.started = true;
-          q.kills = 0;
-          q.completed = false;
-          q.rewarded = false;
-          send(ws, { type: "dialogue", npcId, npcName: npc.name || npcId, text: `Quest started: Slime Cleanup!\nKill ${NEED} green slimes. (0/${NEED})` });
+      if (msg.buyback != null) {
+        const i = Number(msg.buyback);
+        const entry = Number.isInteger(i) ? p.shopBuyback?.[i] : null;
+        if (!entry) {
+          send(ws, { type: "shopRejected", reason: "That item is no longer available." });
+          return;
+        }
+        if (p.gold < entry.price) {
+          send(ws, { type: "shopRejected", reason: "Not enough gold." });
+          return;
+        }
+        if (!addItemToInventoryAll(p, entry.id, entry.qty, entry.weaponBonus)) {
+          send(ws, { type: "shopRejected", reason: "Inventory full." });
           return;
         }
+        spendGold(p, entry.price);
+        p.shopBuyback.splice(i, 1);
+        sendShopUpdate(ws, p, `Bought back ${entry.qty}× ${ITEMS[entry.id].name}.`);
+        return;
+      }
+
+      const itemId = String(msg.itemId || "");
+      const entry = (shop.buy || []).find((e) => e.id === itemId);
+      const def = ITEMS[itemId];
+      if (!entry || !def) {
+        send(ws, { type: "shopRejected", reason: "That isn't sold here." });
+        return;
+      }
+      const qty = Math.min(def.maxStack, Math.max(1, Math.floor(Number(msg.qty) || 1)));
+      const cost = entry.price * qty;
+      if (p.gold < cost) {
+        send(ws, { type: "shopRejected", reason: "Not enough gold." });
+        return;
+      }
+      if (!addItemToInventoryAll(p, itemId, qty)) {
+        send(ws, { type: "shopRejected", reason: "Inventory full." });
+        return;
+      }
+      spendGold(p, cost);
+      sendShopUpdate(ws, p, `Bought ${qty}× ${def.name} for ${cost} gold.`);
+      return;
+    }
+
+    // Sell `qty` (default: all) from one bag slot to the open shop.
+    if (msg.type === "shopSell") {
+      const shop = activeShop(p);
+      if (!shop) {
+        send(ws, { type: "shopRejected", reason: "You're too far from the shop." });
+        return;
+      }
+      const slotIndex = Number(msg.slotIndex);
+      const stack = Number.isInteger(slotIndex) ? p.inventory.slots[slotIndex] : null;
+      const price = stack ? shop.sell?.[stack.id] : null;
+      if (!stack || !ITEMS[stack.id]) return;
+      if (!Number.isFinite(price)) {
+        send(ws, { type: "shopRejected", reason: "The shop won't buy that." });
+        return;
+      }
+      const have = stack.qty ?? 1;
+      const qty = Math.min(have, Math.max(1, Math.floor(Number(msg.qty) || have)));
+      const total = price * qty;
+
+      stack.qty = have - qty;
+      if (stack.qty <= 0) p.inventory.slots[slotIndex] = null;
+      earnGold(p, total);
+
+      p.shopBuyback ||= [];
+      p.shopBuyback.unshift({
+        id: stack.id,
+        qty,
+        price: total,
+        ...(Number.isFinite(stack.weaponBonus) ? { weaponBonus: stack.weaponBonus } : {}),
+      });
+      p.shopBuyback.length = Math.min(p.shopBuyback.length, SHOP_BUYBACK_MAX);
+      sendShopUpdate(ws, p, `Sold ${qty}× ${ITEMS[stack.id].name} for ${total} gold.`);
+      return;
+    }
+
+    if (msg.type === "shopClose") {
+      p.shop = null;
+      return;
+    }
+
+    // Ask another player (by id or name) to trade.
+    if (msg.type === "tradeRequest") {
+      const target = msg.targetId ? players.get(String(msg.targetId)) : findPlayerByName(msg.targetName);
+      const reject = (reason) => send(ws, { type: "tradeRejected", reason });
+      if (!target || target === p || !target.charLoaded || isHeldForReconnect(target)) return reject("Player not found.");
+      if (!canTrade(p) || !canTrade(target)) return reject("You can't trade right now.");
+      if (target.mapId !== p.mapId || dist(p.x, p.y, target.x, target.y) > TRADE_RANGE) return reject(`${target.name} is too far away.`);
+      if (p.tradeId || target.tradeId) return reject(`${p.tradeId ? "You are" : `${target.name} is`} already trading.`);
+
+      target.tradeInvite = { fromId: p.id, expiresAtMs: Date.now() + TRADE_INVITE_MS };
+      const tws = idToSocket.get(target.id);
+      if (tws) send(tws, { type: "tradeInvite", fromId: p.id, from: p.name });
+      send(ws, { type: "tradeRequested", to: target.name });
+      return;
+    }
+
+    if (msg.type === "tradeRespond") {
+      const inv = p.tradeInvite;
+      p.tradeInvite = null;
+      const from = inv && inv.expiresAtMs > Date.now() && inv.fromId === String(msg.fromId || "") ? players.get(inv.fromId) : null;
+      if (!from) {
+        send(ws, { type: "tradeRejected", reason: "That trade request has expired." });
+        return;
+      }
+      const fws = idToSocket.get(from.id);
+      if (!msg.accept) {
+        if (fws) send(fws, { type: "tradeCancelled", reason: `${p.name} declined the trade.` });
+        return;
+      }
+      if (!canTrade(p) || !canTrade(from) || p.tradeId || from.tradeId ||
+          from.mapId !== p.mapId || dist(p.x, p.y, from.x, from.y) > TRADE_RANGE) {
+        send(ws, { type: "tradeRejected", reason: "The trade can't start right now." });
+        return;
+      }
+
+      const trade = {
+        id: `t${nextTradeId++}`,
+        mapId: p.mapId,
+        ids: [from.id, p.id],
+        offers: { [from.id]: { items: [], gold: 0 }, [p.id]: { items: [], gold: 0 } },
+        locked: { [from.id]: false, [p.id]: false },
+        confirmed: { [from.id]: false, [p.id]: false },
+      };
+      trades.set(trade.id, trade);
+      from.tradeId = trade.id;
+      p.tradeId = trade.id;
+      if (fws) send(fws, { type: "tradeOpen", tradeId: trade.id, partnerId: p.id, partnerName: p.name });
+      send(ws, { type: "tradeOpen", tradeId: trade.id, partnerId: from.id, partnerName: from.name });
+      sendTradeState(trade);
+      return;
+    }
+
+    // Replace this side's offer: { slots: [bagSlotIndex...], gold }.
+    if (msg.type === "tradeOffer") {
+      const trade = p.tradeId ? trades.get(p.tradeId) : null;
+      if (!trade || trade.locked[p.id]) return;
+
+      const slotIdx = [...new Set(Array.isArray(msg.slots) ? msg.slots.map(Number) : [])];
+      if (slotIdx.length > TRADE_MAX_SLOTS) {
+        send(ws, { type: "tradeRejected", reason: `You can offer at most ${TRADE_MAX_SLOTS} stacks.` });
+        return;
+      }
+      const items = [];
+      for (const slotIndex of slotIdx) {
+        const s = Number.isInteger(slotIndex) ? p.inventory.slots[slotIndex] : null;
+        if (!s || !ITEMS[s.id] || s.id === "coin") return; // gold goes through the gold field
+        items.push({ slotIndex, id: s.id, qty: s.qty ?? 1, ...(Number.isFinite(s.weaponBonus) ? { weaponBonus: s.weaponBonus } : {}) });
+      }
+      const gold = Math.max(0, Math.floor(Number(msg.gold) || 0));
+      if (gold > p.gold) {
+        send(ws, { type: "tradeRejected", reason: "Not enough gold." });
+        return;
+      }
+
+      trade.offers[p.id] = { items, gold };
+      for (const pid of trade.ids) {
+        trade.locked[pid] = false;
+        trade.confirmed[pid] = false;
+      }
+      sendTradeState(trade);
+      return;
+    }
+
+    if (msg.type === "tradeLock") {
+      const trade = p.tradeId ? trades.get(p.tradeId) : null;
+      if (!trade) return;
+      trade.locked[p.id] = true;
+      sendTradeState(trade);
+      return;
+    }
+
+    if (msg.type === "tradeConfirm") {
+      const trade = p.tradeId ? trades.get(p.tradeId) : null;
+      if (!trade || !trade.ids.every((pid) => trade.locked[pid])) return;
+      trade.confirmed[p.id] = true;
+      if (trade.ids.every((pid) => trade.confirmed[pid])) executeTrade(trade);
+      else sendTradeState(trade);
+      return;
+    }
+
+    if (msg.type === "tradeCancel") {
+      cancelTradeFor(p, `${p.name} cancelled the trade.`);
+      return;
+    }
+
+    // Invite another player (by id or name) to our party, starting one if needed.
+    if (msg.type === "partyInvite") {
+      const target = msg.targetId ? players.get(String(msg.targetId)) : findPlayerByName(msg.targetName);
+      const party = getParty(p);
+      const reject = (reason) => send(ws, { type: "partyRejected", reason });
+      if (!p.charLoaded) return;
+      if (!target || target === p || !target.charLoaded || isHeldForReconnect(target)) return reject("Player not found.");
+      if (party && party.leaderId !== p.id) return reject("Only the party leader can invite.");
+      if (party && party.memberIds.length >= PARTY_MAX) return reject(`Parties are limited to ${PARTY_MAX} players.`);
+      if (target.partyId) return reject(`${target.name} is already in a party.`);
+
+      target.partyInvite = { fromId: p.id, expiresAtMs: Date.now() + PARTY_INVITE_MS };
+      const tws = idToSocket.get(target.id);
+      if (tws) send(tws, { type: "partyInvite", fromId: p.id, from: p.name });
+      send(ws, { type: "partyNotice", text: `Invited ${target.name} to the party.` });
+      return;
+    }
+
+    if (msg.type === "partyRespond") {
+      const inv = p.partyInvite;
+      p.partyInvite = null;
+      const from = inv && inv.expiresAtMs > Date.now() && inv.fromId === String(msg.fromId || "") ? players.get(inv.fromId) : null;
+      if (!from) {
+        send(ws, { type: "partyRejected", reason: "That party invite has expired." });
+        return;
+      }
+      if (!msg.accept) {
+        const fws = idToSocket.get(from.id);
+        if (fws) send(fws, { type: "partyNotice", text: `${p.name} declined the party invite.` });
+        return;
+      }
+
+      let party = getParty(from);
+      if (p.partyId || (party && (party.leaderId !== from.id || party.memberIds.length >= PARTY_MAX))) {
+        send(ws, { type: "partyRejected", reason: "You can't join that party." });
+        return;
+      }
+      if (!party) {
+        party = { id: `pt${nextPartyId++}`, leaderId: from.id, memberIds: [from.id] };
+        parties.set(party.id, party);
+        from.partyId = party.id;
+      }
+      party.memberIds.push(p.id);
+      p.partyId = party.id;
+      partyNotice(party, `${p.name} joined the party.`);
+      return;
+    }
+
+    if (msg.type === "partyLeave") {
+      if (!getParty(p)) return;
+      removeFromParty(p, `${p.name} left the party.`);
+      send(ws, { type: "partyNotice", text: "You left the party." });
+      return;
+    }
+
+    if (msg.type === "partyKick") {
+      const party = getParty(p);
+      const target = msg.targetId ? players.get(String(msg.targetId)) : findPlayerByName(msg.targetName);
+      if (!party || party.leaderId !== p.id) {
+        send(ws, { type: "partyRejected", reason: "Only the party leader can kick." });
+        return;
+      }
+      if (!target || target === p || target.partyId !== party.id) {
+        send(ws, { type: "partyRejected", reason: "That player isn't in your party." });
+        return;
+      }
+      removeFromParty(target, `${target.name} was removed from the party.`);
+      const tws = idToSocket.get(target.id);
+      if (tws) send(tws, { type: "partyNotice", text: "You were removed from the party." });
+      return;
+    }
 
-        if (!q.completed && (q.kills || 0) >= NEED) q.completed = true;
+    // Challenge another player (by id or name) to a duel.
+    if (msg.type === "duelRequest") {
+      const target = msg.targetId ? players.get(String(msg.targetId)) : findPlayerByName(msg.targetName);
+      const reject = (reason) => send(ws, { type: "duelRejected", reason });
+      if (!target || target === p || !target.charLoaded || isHeldForReconnect(target)) return reject("Player not found.");
+      if (p.hp <= 0 || p.respawnIn > 0 || target.hp <= 0 || target.respawnIn > 0) return reject("You can't duel right now.");
+      if (target.mapId !== p.mapId || dist(p.x, p.y, target.x, target.y) > DUEL_RANGE) return reject(`${target.name} is too far away.`);
+      if (p.duelId || target.duelId) return reject(`${p.duelId ? "You are" : `${target.name} is`} already dueling.`);
+
+      target.duelInvite = { fromId: p.id, expiresAtMs: Date.now() + DUEL_INVITE_MS };
+      const tws = idToSocket.get(target.id);
+      if (tws) send(tws, { type: "duelInvite", fromId: p.id, from: p.name });
+      send(ws, { type: "duelRequested", to: target.name });
+      return;
+    }
+
+    if (msg.type === "duelRespond") {
+      const inv = p.duelInvite;
+      p.duelInvite = null;
+      const from = inv && inv.expiresAtMs > Date.now() && inv.fromId === String(msg.fromId || "") ? players.get(inv.fromId) : null;
+      if (!from) {
+        send(ws, { type: "duelRejected", reason: "That duel request has expired." });
+        return;
+      }
+      const fws = idToSocket.get(from.id);
+      if (!msg.accept) {
+        if (fws) send(fws, { type: "duelRejected", reason: `${p.name} declined the duel.` });
+        return;
+      }
+      if (p.duelId || from.duelId || p.hp <= 1 || from.hp <= 1 || p.respawnIn > 0 || from.respawnIn > 0 ||
+          from.mapId !== p.mapId || dist(p.x, p.y, from.x, from.y) > DUEL_RANGE) {
+        send(ws, { type: "duelRejected", reason: "The duel can't start right now." });
+        return;
+      }
+
+      const duel = { id: `du${nextDuelId++}`, mapId: p.mapId, ids: [from.id, p.id], startsAtMs: Date.now() + DUEL_COUNTDOWN_MS };
+      duels.set(duel.id, duel);
+      from.duelId = duel.id;
+      p.duelId = duel.id;
+      if (fws) send(fws, { type: "duelStart", opponentId: p.id, opponent: p.name, startsAtMs: duel.startsAtMs });
+      send(ws, { type: "duelStart", opponentId: from.id, opponent: from.name, startsAtMs: duel.startsAtMs });
+      return;
+    }
+
+    if (msg.type === "duelForfeit") {
+      const duel = p.duelId ? duels.get(p.duelId) : null;
+      if (!duel) return;
+      const other = players.get(duel.ids[0] === p.id ? duel.ids[1] : duel.ids[0]);
+      endDuel(duel, { winner: other, loser: p, reason: `${p.name} forfeited the duel.` });
+      return;
+    }
+
+    if (msg.type === "chat") {
+      if (!p.charLoaded) return;
+      const channel = CHAT_CHANNELS.includes(msg.channel) ? msg.channel : "map";
+      const text = filterChatProfanity(sanitizeChatText(msg.text));
+      if (!text) return;
 
-        if (q.completed && !q.rewarded) {
-          addItemToInventory(p, "red_duke", 1);
-          q.rewarded = true;
-          send(ws, { type: "dialogue", npcId, npcName: npc.name || npcId, text: "Well done. Take this: Red Duke." });
+      const nowMs = Date.now();
+      const waitMs = chatRateLimitWaitMs(p, nowMs);
+      if (waitMs > 0) {
+        send(ws, { type: "chatRejected", reason: `You're sending messages too fast. Wait ${Math.ceil(waitMs / 1000)}s.` });
+        return;
+      }
+
+      const out = { type: "chat", channel, fromId: p.id, from: p.name, text, nowMs };
+
+      if (channel === "whisper") {
+        const target = findPlayerByName(msg.to);
+        if (!target) {
+          send(ws, { type: "chatRejected", reason: `${(msg.to ?? "").toString().slice(0, 16) || "That player"} is not online.` });
           return;
         }
-
-        if (!q.completed) {
-          send(ws, { type: "dialogue", npcId, npcName: npc.name || npcId, text: `Slime Cleanup progress: ${q.kills || 0}/${NEED} green slimes.` });
+        if (target.id === p.id) {
+          send(ws, { type: "chatRejected", reason: "You can't whisper to yourself." });
           return;
         }
-
-        send(ws, { type: "dialogue", npcId, npcName: npc.name || npcId, text: "Stay sharp out there." });
+        out.to = target.name;
+        const targetWs = idToSocket.get(target.id);
+        if (targetWs) send(targetWs, out);
+        // Echo to the sender so their log shows the outgoing whisper.
+        send(ws, out);
         return;
       }
 
-      const lines = npcDialogue[npcId] || ["..."];
+      if (channel === "global") {
+        broadcastToAll(out);
+        return;
+      }
 
-      const text = lines[Math.floor(Math.random() * lines.length)];
-      send(ws, { type: "dialogue", npcId, npcName: npc.name || npcId, text });
+      out.mapId = p.mapId;
+      broadcastToMap(p.mapId, out);
       return;
     }
 
@@ -3460,19 +5659,10 @@ if (msg.type === "useItem") {
 	ws.on("close", async () => {
 	  const pid = socketToId.get(ws);
 	  socketToId.delete(ws);
-	  idToSocket.delete(pid);
+	  if (idToSocket.get(pid) === ws) idToSocket.delete(pid);
 
 	  const p = players.get(pid);
-	  if (p) {
-		cancelSkill1ForCaster(pid);
-		// End any active familiar so it doesn't linger across sessions.
-		p.familiarActive = false;
-		p.familiarTargetMobId = null;
-		p.familiarNextAtkMs = 0;
-		await dbSavePlayer(p);  // ✅ Save state to Postgres
-		players.delete(pid);
-		console.log(`💾 Saved and removed player: ${p.name || pid}`);
-	  }
+	  if (p && !idToSocket.has(pid)) await holdDisconnectedPlayer(p);
 	});
 
 	  
@@ -3488,7 +5678,6 @@ const TICK_HZ = 30;
 /* ======================
        SKILLS (server authoritative)
     ====================== */
-    const SKILL1_RANGE_PX = 150;          // targeting radius from caster
     const SKILL1_EFFECT_RADIUS_PX = 40;  // mobs affected within this radius of the cast center
     const SKILL1_DURATION_MS = 10_000;     // effect duration (short for testing)
     const SKILL1_COOLDOWN_MS = 5_000;     // cooldown starts when cast begins
@@ -3508,6 +5697,7 @@ const SKILL6_DURATION_MS = 10_000;
 const SKILL6_TICK_MS = 1_000;
 const SKILL6_HEAL_PER_TICK = 3;
 const SKILL6_HEAL_RADIUS = 70;  // radius (px) around cloud center that receives healing
+const SKILL6_CAST_TIME_MS = 1500; // client holds the caster still this long before casting
 
     // Active whirlpools (skill1 instances)
     // id -> { id, mapId, x, y, rad, casterId, startMs, endMs }
@@ -3527,7 +5717,7 @@ const SKILL6_HEAL_RADIUS = 70;  // radius (px) around cloud center that receives
       const nowMs = Date.now();
 
       // Can't start while active or on cooldown
-      if (nowMs < (caster.skill1ActiveUntilMs || 0) || nowMs < (caster.skill1CdUntilMs || 0)) return false;
+      if (skillLockedUntil(caster, "skill1") > nowMs) return false;
 
       // Must be on passable tile (base + objects)
       if (isBlocked(mapId, x, y)) return false;
@@ -3536,14 +5726,11 @@ const SKILL6_HEAL_RADIUS = 70;  // radius (px) around cloud center that receives
       const startMs = nowMs;
       const endMs = nowMs + SKILL1_DURATION_MS;
 
-      whirlpools.set(id, { id, mapId, x, y, rad: SKILL1_EFFECT_RADIUS_PX, casterId: caster.id, startMs, endMs });
+      whirlpools.set(id, { id, mapId, x, y, rad: skillValue(caster, "skill1", "radius"), casterId: caster.id, startMs, endMs });
 
-      caster.skill1ActiveUntilMs = endMs;
-      // Cooldown starts when the whirlpool begins
-      caster.skill1CdUntilMs = startMs + SKILL1_COOLDOWN_MS;
-
-      const ws = idToSocket.get(caster.id);
-      if (ws) send(ws, { type: "skill1Accepted", center: { x, y }, startMs, endMs, cdUntilMs: caster.skill1CdUntilMs });
+      caster.skillActiveUntil.skill1 = endMs;
+      // Cooldown starts when the whirlpool begins (SKILL_REGISTRY.skill1.cooldownOnCast is false)
+      startSkillCooldown(caster, "skill1", startMs);
 
       return true;
     }
@@ -3655,12 +5842,362 @@ function moveMobWithSlide(m, stepX, stepY, radius, target = null) {
     const d2 = ok2 ? dist(m.x, m.y, target.x, target.y) : Infinity;
     m.x = ox; m.y = oy;
 
-    if (ok1 && (!ok2 || d1 <= d2)) return attempt(p1x, p1y);
-    if (ok2) return attempt(p2x, p2y);
-    return false;
+    if (ok1 && (!ok2 || d1 <= d2)) return attempt(p1x, p1y);
+    if (ok2) return attempt(p2x, p2y);
+    return false;
+  }
+
+  return attempt(p1x, p1y) || attempt(p2x, p2y);
+}
+
+/* ======================
+   MOB PATHFINDING
+   Chasing and leashed mobs follow a flow field toward their goal tile: a Dijkstra distance
+   map over the tile grid (ground + object solidity, z-level rules as in canCrossZ) built
+   outward from the goal. Fields are cached per map and goal tile, so every mob chasing the
+   same player shares one; editTile drops the map's cache.
+====================== */
+const MOB_NAV_MAX_FIELDS = 24;       // cached fields per map; the least recently used is evicted
+const MOB_NAV_LOS_EVERY_MS = 250;    // how often a mob re-checks for a straight, clear line to its goal
+const MOB_NAV_LOS_STEP_PX = TILE / 4;
+
+// [dx, dy, cost] for 8-way steps.
+const MOB_NAV_STEPS = [
+  [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+  [1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [-1, -1, Math.SQRT2],
+];
+
+const mobNavCache = new Map(); // mapId -> { w, h, walkable: Uint8Array, fields: Map<goalIdx, Float32Array> }
+
+function invalidateMobNav(mapId) {
+  mobNavCache.delete(mapId);
+}
+
+function mobNavFor(mapId) {
+  let nav = mobNavCache.get(mapId);
+  if (nav) return nav;
+  const m = maps[mapId];
+  if (!m) return null;
+
+  const walkable = new Uint8Array(m.w * m.h);
+  for (let ty = 0; ty < m.h; ty++) {
+    for (let tx = 0; tx < m.w; tx++) {
+      const obj = (m.obj && m.obj[ty] ? m.obj[ty][tx] : 0) || 0;
+      walkable[ty * m.w + tx] = (isSolid(m.map[ty][tx]) || isObjSolid(obj)) ? 0 : 1;
+    }
+  }
+  nav = { w: m.w, h: m.h, walkable, fields: new Map() };
+  mobNavCache.set(mapId, nav);
+  return nav;
+}
+
+// Can a mob step from tile (tx,ty) by (sx,sy)? Straight steps follow canCrossZ (ramps/zGate);
+// diagonals need both side tiles open and on one level so the mob's circle never clips a corner.
+// Symmetric, so a field built outward from the goal is valid walking toward it.
+function mobNavStepOk(mapId, nav, tx, ty, sx, sy) {
+  const nx = tx + sx;
+  const ny = ty + sy;
+  if (nx < 0 || ny < 0 || nx >= nav.w || ny >= nav.h) return false;
+  if (!nav.walkable[ny * nav.w + nx]) return false;
+  if (sx === 0 || sy === 0) return canCrossZ(mapId, tx, ty, nx, ny);
+
+  if (!nav.walkable[ty * nav.w + nx] || !nav.walkable[ny * nav.w + tx]) return false;
+  const z = tileZ(mapId, tx, ty);
+  return tileZ(mapId, nx, ty) === z && tileZ(mapId, tx, ny) === z && tileZ(mapId, nx, ny) === z;
+}
+
+// Binary min-heap of [cost, tileIdx] pairs for the field builder.
+function navHeapPush(heap, cost, idx) {
+  heap.push([cost, idx]);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent][0] <= heap[i][0]) break;
+    [heap[parent], heap[i]] = [heap[i], heap[parent]];
+    i = parent;
+  }
+}
+
+function navHeapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const l = i * 2 + 1;
+      const r = l + 1;
+      let best = i;
+      if (l < heap.length && heap[l][0] < heap[best][0]) best = l;
+      if (r < heap.length && heap[r][0] < heap[best][0]) best = r;
+      if (best === i) break;
+      [heap[best], heap[i]] = [heap[i], heap[best]];
+      i = best;
+    }
+  }
+  return top;
+}
+
+// Path cost from every tile to (goalTx, goalTy); Infinity where the goal is unreachable.
+function mobNavField(mapId, goalTx, goalTy) {
+  const nav = mobNavFor(mapId);
+  if (!nav) return null;
+  if (goalTx < 0 || goalTy < 0 || goalTx >= nav.w || goalTy >= nav.h) return null;
+
+  const goal = goalTy * nav.w + goalTx;
+  let field = nav.fields.get(goal);
+  if (field) {
+    nav.fields.delete(goal); // re-insert to mark as most recently used
+    nav.fields.set(goal, field);
+    return field;
+  }
+
+  field = new Float32Array(nav.w * nav.h).fill(Infinity);
+  field[goal] = 0;
+  const heap = [];
+  navHeapPush(heap, 0, goal);
+  while (heap.length > 0) {
+    const [cost, cur] = navHeapPop(heap);
+    if (cost > field[cur]) continue;
+    const tx = cur % nav.w;
+    const ty = (cur - tx) / nav.w;
+    for (const [sx, sy, stepCost] of MOB_NAV_STEPS) {
+      if (!mobNavStepOk(mapId, nav, tx, ty, sx, sy)) continue;
+      const next = (ty + sy) * nav.w + (tx + sx);
+      const nextCost = cost + stepCost;
+      if (nextCost < field[next]) {
+        field[next] = nextCost;
+        navHeapPush(heap, nextCost, next);
+      }
+    }
+  }
+
+  nav.fields.set(goal, field);
+  if (nav.fields.size > MOB_NAV_MAX_FIELDS) nav.fields.delete(nav.fields.keys().next().value);
+  return field;
+}
+
+// True when a mob circle could slide straight from (x0,y0) to (x1,y1): no solid tiles and
+// no z-level change without a gate along the way.
+function mobNavLineClear(mapId, x0, y0, x1, y1, radius) {
+  const steps = Math.ceil(Math.hypot(x1 - x0, y1 - y0) / MOB_NAV_LOS_STEP_PX);
+  let px = x0, py = y0;
+  for (let i = 1; i <= steps; i++) {
+    const nx = x0 + (x1 - x0) * (i / steps);
+    const ny = y0 + (y1 - y0) * (i / steps);
+    if (collides(mapId, nx, ny, radius) || !canMoveMobZ(mapId, px, py, nx, ny, radius)) return false;
+    px = nx;
+    py = ny;
+  }
+  return true;
+}
+
+// Unit direction for mob m to walk toward goal {x, y, tx?, ty?} (tx/ty default to the tile
+// under x/y; players pass their foot tile). Heads straight at the goal when the line is clear,
+// otherwise toward the neighbouring tile with the lowest field cost. Returns null when the goal
+// is unreachable so callers can fall back to walking straight at it.
+function mobNavDir(m, goal, nowMs = Date.now()) {
+  const dx = goal.x - m.x;
+  const dy = goal.y - m.y;
+  const l = Math.hypot(dx, dy) || 1;
+
+  if (nowMs >= (m.navLosCheckAtMs || 0)) {
+    const radius = (m.radius ?? MOB_RADIUS) * MOB_MOVE_RADIUS_MUL;
+    m.navLosCheckAtMs = nowMs + MOB_NAV_LOS_EVERY_MS;
+    m.navLosClear = mobNavLineClear(m.mapId, m.x, m.y, goal.x, goal.y, radius);
+  }
+  if (m.navLosClear) return { x: dx / l, y: dy / l };
+
+  const goalTx = Number.isInteger(goal.tx) ? goal.tx : Math.floor(goal.x / TILE);
+  const goalTy = Number.isInteger(goal.ty) ? goal.ty : Math.floor(goal.y / TILE);
+  const field = mobNavField(m.mapId, goalTx, goalTy);
+  const nav = mobNavCache.get(m.mapId);
+  if (!field || !nav) return null;
+
+  const tx = Math.floor(m.x / TILE);
+  const ty = Math.floor(m.y / TILE);
+  if (tx < 0 || ty < 0 || tx >= nav.w || ty >= nav.h) return null;
+  const here = field[ty * nav.w + tx];
+  if (!Number.isFinite(here)) return null;
+  if (here === 0) return { x: dx / l, y: dy / l };
+
+  let best = here, bestSx = 0, bestSy = 0;
+  for (const [sx, sy] of MOB_NAV_STEPS) {
+    if (!mobNavStepOk(m.mapId, nav, tx, ty, sx, sy)) continue;
+    const cost = field[(ty + sy) * nav.w + (tx + sx)];
+    if (cost < best) { best = cost; bestSx = sx; bestSy = sy; }
+  }
+  if (bestSx === 0 && bestSy === 0) return null;
+
+  // Aim for the next tile's center so the mob lines up with corridors and ramps.
+  const cx = (tx + bestSx + 0.5) * TILE - m.x;
+  const cy = (ty + bestSy + 0.5) * TILE - m.y;
+  const cl = Math.hypot(cx, cy) || 1;
+  return { x: cx / cl, y: cy / cl };
+}
+
+/* ======================
+   MOB ATTACKS
+   Bites plus the special attacks declared in MOB_DEFS (see MOB_ATTACK_KINDS). A special attack
+   first winds up in place (m.windup, sent to clients as the snapshot `telegraph`), then fires:
+   ranged spits a projectile, slam hits everyone in its circle, lunge dashes (m.lunge).
+   Stuns and respawns cancel both.
+====================== */
+function mobAttackDamage(m, mul = 1) {
+  return Math.max(1, Math.round((Number.isFinite(m.damage) ? m.damage : 10) * mul));
+}
+
+// One mob hit on a player: armor, invuln frames, the mob's onHitEffect, a small shove away
+// from (srcX, srcY) and death. Returns false if the player was still invulnerable.
+function mobHitPlayer(m, target, rawDamage, srcX, srcY, fx) {
+  if (target.invuln > 0 || isHeldForReconnect(target)) return false;
+
+  const dmg = mitigatePlayerDamage(target, rawDamage);
+  target.hp = Math.max(0, target.hp - dmg);
+  target.invuln = 0.35;
+  if (m.onHitEffect) applyStatusEffect(target, m.onHitEffect, m.id);
+
+  if (target.hp <= 0) killPlayer(target);
+
+  const dx = target.x - srcX;
+  const dy = target.y - srcY;
+  const l = Math.hypot(dx, dy) || 1;
+  const nx = target.x + (dx / l) * 16;
+  const ny = target.y + (dy / l) * 16;
+
+  if (canMovePlayerZ(target.mapId, target.x, target.y, nx, target.y) && !collidesPlayer(target.mapId, nx, target.y)) target.x = nx;
+  if (canMovePlayerZ(target.mapId, target.x, target.y, target.x, ny) && !collidesPlayer(target.mapId, target.x, ny)) target.y = ny;
+  clampToWorldPlayer(target.mapId, target);
+
+  broadcastToMap(target.mapId, {
+    type: "hit",
+    targetId: target.id,
+    targetKind: "player",
+    srcX,
+    srcY,
+    amount: dmg,
+    fx,
+  });
+  return true;
+}
+
+function cancelMobAttack(m) {
+  m.windup = null;
+  m.lunge = null;
+}
+
+// Begin telegraphing the mob's special attack at target when it is off cooldown and in range.
+// Spits and lunges also need a clear line. Returns true if a windup started.
+function tryStartMobSpecialAttack(m, target, d, nowMs) {
+  const atk = m.attack;
+  if (!atk || atk.kind === "melee") return false;
+  if (nowMs < m.attackCdUntilMs || d > atk.range) return false;
+
+  if (atk.kind !== "slam") {
+    const radius = (atk.kind === "ranged") ? atk.projectileRad : (m.radius ?? MOB_RADIUS) * MOB_MOVE_RADIUS_MUL;
+    if (!mobNavLineClear(m.mapId, m.x, m.y, target.x, target.y, radius)) return false;
+  }
+
+  const l = d || 1;
+  m.windup = {
+    atk,
+    kind: atk.kind,
+    startMs: nowMs,
+    untilMs: nowMs + atk.windupMs,
+    x: m.x,
+    y: m.y,
+    dirX: (target.x - m.x) / l,
+    dirY: (target.y - m.y) / l,
+  };
+  return true;
+}
+
+// Advance a windup or lunge. Returns true while one is running (the mob skips its normal AI).
+function tickMobSpecialAttack(m, dt, nowMs) {
+  if (m.lunge) {
+    const atk = m.lunge.atk;
+    const step = atk.lungeSpeed * dt;
+    const radMove = (m.radius ?? MOB_RADIUS) * MOB_MOVE_RADIUS_MUL;
+    if (nowMs >= m.lunge.untilMs || !moveMobWithSlide(m, m.lunge.dirX * step, m.lunge.dirY * step, radMove)) {
+      m.lunge = null;
+      return false;
+    }
+    clampToWorld(m.mapId, m, m.radius ?? MOB_RADIUS);
+
+    for (const p of players.values()) {
+      if (p.mapId !== m.mapId || p.hp <= 0 || p.respawnIn > 0) continue;
+      if (m.lunge.hitIds.has(p.id)) continue;
+      if (dist(p.x, p.y, m.x, m.y) > (m.radius ?? MOB_RADIUS) + PLAYER_RADIUS) continue;
+      m.lunge.hitIds.add(p.id);
+      mobHitPlayer(m, p, mobAttackDamage(m, atk.damageMul), m.x, m.y, "lunge");
+    }
+    return true;
+  }
+
+  const w = m.windup;
+  if (!w) return false;
+  if (nowMs < w.untilMs) return true;
+
+  const atk = w.atk;
+  m.windup = null;
+  m.attackCdUntilMs = nowMs + atk.cooldownSec * 1000;
+  m.atkCd = Math.max(m.atkCd, MOB_ATK_CD); // no free bite straight after
+  if (m.boss) advanceBossRotation(m);
+
+  if (w.kind === "ranged") {
+    // count > 1 fans the spits evenly across spreadDeg, centered on the telegraphed line.
+    const count = Math.max(1, Math.floor(atk.count) || 1);
+    const spread = (atk.spreadDeg || 0) * Math.PI / 180;
+    const baseAngle = Math.atan2(w.dirY, w.dirX);
+    for (let i = 0; i < count; i++) {
+      const a = baseAngle + (count > 1 ? (i / (count - 1) - 0.5) * spread : 0);
+      spawnProjectile({
+        mapId: m.mapId,
+        ownerId: m.id,
+        x: m.x,
+        y: m.y,
+        vx: Math.cos(a) * atk.projectileSpeed,
+        vy: Math.sin(a) * atk.projectileSpeed,
+        rad: atk.projectileRad,
+        damage: mobAttackDamage(m, atk.damageMul),
+        lifeMs: atk.projectileLifeMs,
+        sprite: "mob_spit",
+        fromMob: true,
+      });
+    }
+  } else if (w.kind === "lunge") {
+    m.lunge = { atk, dirX: w.dirX, dirY: w.dirY, untilMs: nowMs + atk.lungeMs, hitIds: new Set() };
+  } else if (w.kind === "slam") {
+    for (const p of players.values()) {
+      if (p.mapId !== m.mapId || p.hp <= 0 || p.respawnIn > 0) continue;
+      if (dist(p.x, p.y, w.x, w.y) > atk.radius) continue;
+      mobHitPlayer(m, p, mobAttackDamage(m, atk.damageMul), w.x, w.y, "slam");
+    }
   }
+  return true;
+}
 
-  return attempt(p1x, p1y) || attempt(p2x, p2y);
+// Snapshot view of a windup for the client to draw; null when the mob isn't winding up.
+// length: how far the spit flies / the lunge carries; radius: the slam circle;
+// count/spreadDeg: a fan of spits.
+function mobTelegraphSnapshot(m) {
+  const w = m.windup;
+  if (!w || m.respawnIn > 0) return null;
+  const atk = w.atk;
+  return {
+    kind: w.kind,
+    startMs: w.startMs,
+    untilMs: w.untilMs,
+    x: Math.round(w.x),
+    y: Math.round(w.y),
+    dirX: Math.round(w.dirX * 100) / 100,
+    dirY: Math.round(w.dirY * 100) / 100,
+    length: (w.kind === "ranged") ? Math.round(atk.projectileSpeed * atk.projectileLifeMs / 1000)
+      : (w.kind === "lunge") ? Math.round(atk.lungeSpeed * atk.lungeMs / 1000) : 0,
+    radius: (w.kind === "slam") ? atk.radius : 0,
+    count: (w.kind === "ranged") ? Math.max(1, Math.floor(atk.count) || 1) : 1,
+    spreadDeg: (w.kind === "ranged") ? (atk.spreadDeg || 0) : 0,
+  };
 }
 
 const FIXED_TICK_DT = 1 / TICK_HZ;
@@ -3676,6 +6213,9 @@ function tickStep(dt) {
     }
   }
 
+  if (trades.size > 0) updateTrades();
+  if (duels.size > 0) updateDuels();
+
 
     // Players movement + timers + save + drop pickup + respawn
     const BASE_PLAYER_MOVE_SPEED = 125;
@@ -3691,7 +6231,7 @@ function tickStep(dt) {
           // If the player is being moved to a (potentially different) map on respawn,
           // end any active Skill 1 effects they own immediately.
           cancelSkill1ForCaster(p.id);
-          p.skill1ActiveUntilMs = 0;
+          delete p.skillActiveUntil.skill1;
           p.skill1Primed = false;
 
           // Respawn cancels Skill 5 (Familiar).
@@ -3700,14 +6240,14 @@ function tickStep(dt) {
           p.familiarNextAtkMs = 0;
 
           // Respawn cancels Skill 6 (Healing Cloud).
-          p.skill6CloudUntilMs = 0;
+          delete p.skillActiveUntil.skill6;
           p.skill6NextHealMs = 0;
           p.skill6CloudX = 0;
           p.skill6CloudY = 0;
 
-          applyFixedSpawn(p);
-          p.save = null;
+          applyRespawnPoint(p);
           p.hp = p.maxHp;
+          clearStatusEffects(p);
           p.invuln = 0.6;
           p.atkCd = 0;
           p.atkAnim = 0;
@@ -3722,6 +6262,9 @@ function tickStep(dt) {
 
       const nowMs = Date.now();
 
+      tickStatusEffects(p, "player", nowMs);
+      if (p.hp <= 0) continue;
+
       // Periodic autosave so progress survives refreshes / reconnect hiccups,
       // not just clean socket closes.
       if (p.name && (!p.lastPersistAt || (nowMs - p.lastPersistAt) >= 10000)) {
@@ -3745,14 +6288,14 @@ function tickStep(dt) {
       if (p.inputs.up) dy -= 1;
       if (p.inputs.down) dy += 1;
 
-      // Freeze movement during the basic-attack lock window.
-      if (locked) { dx = 0; dy = 0; }
+      // Freeze movement during the basic-attack lock window or while stunned.
+      if (locked || isStunned(p, nowMs)) { dx = 0; dy = 0; }
 
       const len = Math.hypot(dx, dy);
       if (len > 0) { dx /= len; dy /= len; }
 
       const speedStat = (typeof getPlayerSpeedStat === "function") ? getPlayerSpeedStat(p) : (Number.isFinite(p.speed) ? p.speed : 100);
-      const moveSpeed = BASE_PLAYER_MOVE_SPEED * (speedStat / 100);
+      const moveSpeed = BASE_PLAYER_MOVE_SPEED * (speedStat / 100) * statusSpeedMul(p, nowMs);
 
       const nx = p.x + dx * moveSpeed * dt;
       const ny = p.y + dy * moveSpeed * dt;
@@ -3780,6 +6323,19 @@ function tickStep(dt) {
         continue;
       }
 
+      // mob spit -> hit player
+      if (pr.fromMob) {
+        for (const p of players.values()) {
+          if (p.mapId !== pr.mapId || p.hp <= 0 || p.respawnIn > 0) continue;
+          if (dist(pr.x, pr.y, p.x, p.y) > pr.rad + PLAYER_RADIUS) continue;
+          projectiles.delete(pid);
+          const owner = mobs.get(pr.ownerId);
+          if (owner) mobHitPlayer(owner, p, pr.damage, pr.x, pr.y, "spit");
+          break;
+        }
+        continue;
+      }
+
       // hit mob
       for (const m of mobs.values()) {
         if (m.mapId !== pr.mapId) continue;
@@ -3790,8 +6346,8 @@ function tickStep(dt) {
           // Skill-shot projectiles should not also deal normal wand damage.
           const isSkill1Shot = !!pr.skill1;
           const hitDmg = isSkill1Shot ? 0 : pr.damage;
+          creditMobDamage(m, pr.ownerId, hitDmg);
           if (hitDmg > 0) m.hp -= hitDmg;
-          m.lastHitBy = pr.ownerId;
 
           // Big knockback if this single hit is strong enough (normal wand bolts only).
           if (hitDmg > 0) {
@@ -3800,6 +6356,7 @@ function tickStep(dt) {
 
           // Skill 1 should NOT provoke/aggro mobs. Normal hits still do.
           if (!isSkill1Shot) setMobAggro(m, pr.ownerId);
+          if (pr.onHitEffect) applyStatusEffect(m, pr.onHitEffect, pr.ownerId);
 
           // Skill 5: Familiar target assignment. Only normal wand bolts count (Skill 1 bolts don't).
           if (!isSkill1Shot) {
@@ -3838,6 +6395,15 @@ function tickStep(dt) {
           break;
         }
       }
+
+      // hit duel opponent (normal bolts only; primed Skill 1 shots are for mobs)
+      if (projectiles.has(pid) && !pr.skill1) {
+        const foe = duelFoe(players.get(pr.ownerId));
+        if (foe && foe.mapId === pr.mapId && dist(pr.x, pr.y, foe.x, foe.y) <= pr.rad + PLAYER_RADIUS) {
+          projectiles.delete(pid);
+          hitDuelFoe(players.get(pr.ownerId), foe, pr.damage, pr.x, pr.y, "bolt");
+        }
+      }
     }
 
 
@@ -3895,9 +6461,9 @@ function tickStep(dt) {
 
         if (now < (p.familiarNextAtkMs || 0)) continue;
 
-        const dmg = SKILL5_DMG;
+        const dmg = Math.floor(skillValue(p, "skill5", "damage"));
+        creditMobDamage(m, p.id, dmg);
         m.hp -= dmg;
-        m.lastHitBy = p.id;
 
         // Familiar hits provoke the mob.
         setMobAggro(m, p.id);
@@ -3913,7 +6479,7 @@ function tickStep(dt) {
         });
 
         // After the first hit, subsequent hits follow the base tick rate.
-        p.familiarNextAtkMs = now + SKILL5_HIT_MS;
+        p.familiarNextAtkMs = now + skillValue(p, "skill5", "hitMs");
 
         if (m.hp <= 0) {
           killMobAndReward(m, p.id);
@@ -3928,18 +6494,18 @@ function tickStep(dt) {
     {
       const now = nowMs;
       for (const owner of players.values()) {
-        if (!owner.skill6CloudUntilMs || owner.skill6CloudUntilMs <= 0) continue;
+        if (!owner.skillActiveUntil.skill6) continue;
 
         // If owner is dead/respawning, cancel the cloud.
         if (owner.hp <= 0 || owner.respawnIn > 0) {
-          owner.skill6CloudUntilMs = 0;
+          delete owner.skillActiveUntil.skill6;
           owner.skill6NextHealMs = 0;
           continue;
         }
 
         // Expired?
-        if (now >= owner.skill6CloudUntilMs) {
-          owner.skill6CloudUntilMs = 0;
+        if (now >= owner.skillActiveUntil.skill6) {
+          delete owner.skillActiveUntil.skill6;
           owner.skill6NextHealMs = 0;
           continue;
         }
@@ -3954,8 +6520,9 @@ function tickStep(dt) {
         const cy = owner.skill6CloudY;
         if (!Number.isFinite(cx) || !Number.isFinite(cy)) continue;
 
-        const r = SKILL6_HEAL_RADIUS;
+        const r = skillValue(owner, "skill6", "radius");
         const r2 = r * r;
+        const healPerTick = Math.floor(skillValue(owner, "skill6", "heal"));
 
         // Heal any players standing under/near the cloud on the same map.
         for (const target of players.values()) {
@@ -3969,15 +6536,16 @@ function tickStep(dt) {
           const missing = Math.max(0, target.maxHp - target.hp);
 
           // Amount of HP we actually restore this tick, respecting maxHp.
-          const apply = Math.min(SKILL6_HEAL_PER_TICK, missing);
+          const apply = Math.min(healPerTick, missing);
           if (apply > 0) {
             target.hp = Math.min(target.maxHp, target.hp + apply);
+            addHealThreat(owner.id, target, apply);
           }
 
           // For visuals, always show at least the base tick size even if the player is already full.
           let displayAmount = apply;
           if (displayAmount <= 0) {
-            displayAmount = SKILL6_HEAL_PER_TICK;
+            displayAmount = healPerTick;
           }
           if (!(displayAmount > 0)) continue;
 
@@ -3993,39 +6561,76 @@ function tickStep(dt) {
       }
     }
 
-    // Mobs: wander + melee attack + respawn
+    // Mobs: wander + attacks (see MOB ATTACKS) + respawn
     const BASE_MOB_SPEED = 125;
     // use per-mob baseAggroRange / hitAggroRange instead of a single constant
-    const MOB_HIT = 36;
-    // MOB damage is per-type (see MOB_DEFS). Fallback below if missing.
-    const MOB_ATK_CD = 0.9;
+
+    tickBosses(Date.now());
 
     for (const m of mobs.values()) {
       if (m.respawnIn > 0) {
         m.respawnIn -= dt;
-        if (m.respawnIn <= 0) respawnMob(m);
+        if (m.respawnIn <= 0) {
+          // Boss adds are one-offs: they go away instead of respawning.
+          if (m.despawnOnDeath) mobs.delete(m.id);
+          else respawnMob(m);
+        }
         continue;
       }
       if (m.hp <= 0) continue;
 
       m.atkCd = Math.max(0, m.atkCd - dt);
 
+      // Stunned mobs neither move nor bite.
+      const nowEffectsMs = Date.now();
+      tickStatusEffects(m, "mob", nowEffectsMs);
+      if (m.hp <= 0 || m.respawnIn > 0) continue;
+      if (isStunned(m, nowEffectsMs)) {
+        cancelMobAttack(m);
+        continue;
+      }
+
+      // A telegraphed special attack or lunge owns the mob until it finishes.
+      if (tickMobSpecialAttack(m, dt, nowEffectsMs)) continue;
+
+      // Leash: a mob that strays past its authored leash drops aggro and walks home,
+      // ignoring players until it gets there.
+      const home = (m.leashPx > 0) ? getMobHome(m) : null;
+      if (home) {
+        const dHome = dist(m.x, m.y, home.x, home.y);
+        if (!m.returningHome && dHome > m.leashPx) {
+          m.returningHome = true;
+          clearMobAggro(m);
+        } else if (m.returningHome && dHome <= MOB_LEASH_ARRIVE_PX) {
+          m.returningHome = false;
+        }
+      } else {
+        m.returningHome = false;
+      }
+
       // passive logic: only aggro after being hit (or while aggroUntil)
       let target = null;
       let bestD = Infinity;
 
       const aggroActive = (!m.passiveUntilHit) || (m.aggroUntil > Date.now());
 
+      // Provoked mobs go after whoever tops their threat table.
+      decayMobThreat(m, dt);
       if (m.aggroUntil <= Date.now()) {
-        m.aggroTargetId = null;
+        clearMobAggro(m);
+      } else {
+        m.aggroTargetId = mobThreatTarget(m);
       }
+      // A lock on someone out of reach (left the boss room, held for reconnect) is dropped so the
+      // mob picks a target it can fight instead of idling until aggroUntil runs out.
+      if (m.aggroTargetId && !mobCanTargetPlayer(m, players.get(m.aggroTargetId))) m.aggroTargetId = null;
 
       for (const p of players.values()) {
-        if (p.mapId !== m.mapId) continue;
-        if (p.hp <= 0) continue;
-        if (p.respawnIn > 0) continue;
+        if (m.returningHome) break;
+        // Bosses only fight inside their room; held (disconnected) characters are skipped.
+        if (!mobCanTargetPlayer(m, p)) continue;
 
-        // If this mob was recently hit, it "locks on" to the attacker for a few seconds.
+        // If this mob was recently hit, it "locks on" to its top-threat player for a few seconds.
         if (m.aggroUntil > Date.now() && m.aggroTargetId && p.id !== m.aggroTargetId) continue;
 
         if (m.passiveUntilHit) {
@@ -4050,74 +6655,36 @@ function tickStep(dt) {
         dirX = dx / l;
         dirY = dy / l;
 
+        if (tryStartMobSpecialAttack(m, target, bestD, nowAggroMs)) continue;
         if (bestD <= MOB_HIT && m.atkCd <= 0) {
           m.atkCd = MOB_ATK_CD;
-
-          if (target.invuln <= 0) {
-            const dmg = Number.isFinite(m.damage) ? m.damage : 10;
-            target.hp = Math.max(0, target.hp - dmg);
-            target.invuln = 0.35;
-
-            if (target.hp <= 0 && target.respawnIn <= 0) {
-              target.respawnIn = 2.0;
-              const ws = idToSocket.get(target.id);
-              if (ws) send(ws, { type: "dead" });
-            }
-
-            const kx = (dx / l) * 16;
-            const ky = (dy / l) * 16;
-
-            const nx = target.x + kx;
-            const ny = target.y + ky;
-
-            if (canMovePlayerZ(target.mapId, target.x, target.y, nx, target.y) && !collidesPlayer(target.mapId, nx, target.y)) target.x = nx;
-            if (canMovePlayerZ(target.mapId, target.x, target.y, target.x, ny) && !collidesPlayer(target.mapId, target.x, ny)) target.y = ny;
-            clampToWorldPlayer(target.mapId, target);
-
-            broadcastToMap(target.mapId, {
-              type: "hit",
-              targetId: target.id,
-              targetKind: "player",
-              srcX: m.x,
-              srcY: m.y,
-              amount: dmg,
-              fx: "bite",
-            });
-          }
+          mobHitPlayer(m, target, mobAttackDamage(m), m.x, m.y, "bite");
+        }
+        // Route around walls/trees and up ramps; unreachable targets are walked at directly.
+        const nav = mobNavDir(m, { x: target.x, y: target.y, ...playerFootTile(target) }, nowAggroMs);
+        if (nav) {
+          dirX = nav.x;
+          dirY = nav.y;
         }
-        // While aggro/chasing, occasionally "juke" in a random direction briefly.
-        // This helps mobs slip around corners/tight corridors without full pathfinding.
-        // Tunables:
-        // - A "juke" lasts up to ~1s (200..1000ms)
-        // - Cooldown between juke decisions is ~0.9..3.1s
-        const nowJukeMs = nowAggroMs;
-        const until = m.aggroRandomUntilMs ?? 0;
-        const next = m.aggroRandomNextMs ?? 0;
-
-        if (nowJukeMs < until) {
-          // Continue current juke direction
-          const jx = Number.isFinite(m.aggroRandomDirX) ? m.aggroRandomDirX : dirX;
-          const jy = Number.isFinite(m.aggroRandomDirY) ? m.aggroRandomDirY : dirY;
-          const jl = Math.hypot(jx, jy) || 1;
-          dirX = jx / jl;
-          dirY = jy / jl;
-        } else if (nowJukeMs >= next) {
-          // Decide whether to start a new juke
-          // (Probability is per "decision", not per tick.)
-          if (Math.random() < 0.30) {
-            const [jx, jy] = randomDir();
-            m.aggroRandomDirX = jx;
-            m.aggroRandomDirY = jy;
-            m.aggroRandomUntilMs = nowJukeMs + (200 + Math.random() * 800); // up to ~1s
+        // Ranged mobs (not bosses) kite: back off when crowded, hold position at range while they can see the target.
+        if (m.attack.kind === "ranged" && !m.boss && m.navLosClear) {
+          if (bestD < m.attack.keepAwayPx) {
+            dirX = -dx / l;
+            dirY = -dy / l;
+          } else if (bestD <= m.attack.preferPx) {
+            dirX = 0;
+            dirY = 0;
           }
-          m.aggroRandomNextMs = nowJukeMs + (900 + Math.random() * 2200);
         }
-
-
-      } else {
-        // Not currently aggro-chasing: clear any pending juke state.
-        m.aggroRandomUntilMs = 0;
-        m.aggroRandomNextMs = 0;
+      } else if (m.returningHome) {
+        // Leashed: path back to the spawn point.
+        const dx = home.x - m.x;
+        const dy = home.y - m.y;
+        const l = Math.hypot(dx, dy) || 1;
+        const nav = mobNavDir(m, home, nowAggroMs);
+        dirX = nav ? nav.x : dx / l;
+        dirY = nav ? nav.y : dy / l;
+      } else if (!m.boss) {
         m.changeDirIn -= dt;
         if (m.changeDirIn <= 0) {
           const [dx, dy] = randomDir();
@@ -4129,27 +6696,8 @@ function tickStep(dt) {
       }
 
       const speedStat = Number.isFinite(m.speed) ? m.speed : 100;
-      const speed = BASE_MOB_SPEED * (speedStat / 100) * (m.speedMul ?? 0.65) * (provoked ? (m.aggroSpeedMul ?? 1.0) : 1.0);
-
-  // While chasing, if we get stuck on corners, add a short "wall-hug" nudge.
-  // This is cheap, feels good, and avoids full pathfinding.
-  if (target && bestD <= aggroRange) {
-    if (m.stuckForMs > 350 && m.nudgeUntilMs <= nowAggroMs) {
-      m.nudgeUntilMs = nowAggroMs + 260;
-      m.nudgeSign = (Math.random() < 0.5 ? -1 : 1);
-      m.stuckForMs = 0;
-    }
-    if (m.nudgeUntilMs > nowAggroMs) {
-      // Blend desired dir with a perpendicular component (left/right) to help slip around corners.
-      const sx = -dirY * m.nudgeSign;
-      const sy = dirX * m.nudgeSign;
-      const bx = dirX + sx * 0.9;
-      const by = dirY + sy * 0.9;
-      const bl = Math.hypot(bx, by) || 1;
-      dirX = bx / bl;
-      dirY = by / bl;
-    }
-  }
+      const speed = BASE_MOB_SPEED * (speedStat / 100) * (m.speedMul ?? 0.65) * ((provoked || m.returningHome) ? (m.aggroSpeedMul ?? 1.0) : 1.0)
+        * statusSpeedMul(m, nowEffectsMs);
 
   const stepX = dirX * speed * dt;
   const stepY = dirY * speed * dt;
@@ -4157,7 +6705,7 @@ function tickStep(dt) {
   const radCombat = (m.radius ?? MOB_RADIUS);
   const radMove = radCombat * MOB_MOVE_RADIUS_MUL;
 
-  const moved = moveMobWithSlide(m, stepX, stepY, radMove, (target && bestD <= aggroRange) ? target : null);
+  const moved = moveMobWithSlide(m, stepX, stepY, radMove, (target && bestD <= aggroRange) ? target : (m.returningHome ? home : null));
 
 
   // Skill 1: whirlpool pull (mobs still run their normal AI movement, we just add an extra "drag" step)
@@ -4188,15 +6736,6 @@ function tickStep(dt) {
   }
 
 
-  // If chasing and we didn't move, accumulate "stuck time" so we can apply a brief nudge.
-  if (target && bestD <= aggroRange) {
-    if (!moved) m.stuckForMs = (m.stuckForMs ?? 0) + dt * 1000;
-    else m.stuckForMs = 0;
-  } else {
-    m.stuckForMs = 0;
-    m.nudgeUntilMs = 0;
-  }
-
   if (!moved) m.changeDirIn = 0;
 
   clampToWorld(m.mapId, m, radCombat);
@@ -4255,6 +6794,487 @@ const SKILL4_ATK_ANIM = 0.24;
 const SKILL4_MAX_HITS = 3;
 const SKILL4_RANGE_MULT = 1.35;
 
+/* ======================
+   SKILL REGISTRY
+   SKILL_REGISTRY is the one place a skill is defined. castSkill() does the checks every
+   skill shares (alive, weapon, cooldown, aim) and then hands off to the entry's cast().
+     weapon      weaponKey the skill needs equipped
+     targeting   "direction" (snap facing to aim), "nextShot" (primes the next wand bolt),
+                 "toggle" (on/off) or "self" (centered on the caster)
+     hitShape    SKILL_HIT_SHAPES key the damage lands with; hitFx labels those "hit" messages
+     fx          cast visual broadcast to the map as {type:"skillFx"}
+     onHitEffect STATUS_EFFECTS spec that skillStrike hits apply
+     taunt       skillStrike hits put the caster on top of each struck mob's threat table
+     cooldownOnCast  false when the cooldown starts later (skill1 starts it on impact)
+     cast(p, def, nowMs, aim)  does the work; returns a rejection reason string, or extra
+                 fields for the caster's "skillCast" reply
+     castTimeMs  the client holds the caster still this long before sending the cast
+     desc, perLevel  Skills menu text
+   skillCatalogPayload() sends the client-facing fields in "welcome"; the client has no copy.
+   Skill tree: each level past 1 earns SKILL_POINTS_PER_LEVEL skill points. A point buys one
+   rank in a skill of any weapon. Active skills start at level 1 without any points. Passive
+   masteries start at 0. Values scale linearly with rank: scale[key] = [value at rank 0,
+   change per rank]; scale.cooldownMs and scale.damageMult are the cooldown and damage
+   multiplier. `requires` gates ranks behind other skills; `minLevel` is the character level
+   for rank 1. Only ranks are stored (players.skill_levels); free points are derived from
+   level like STATS.
+====================== */
+const SKILL_POINTS_PER_LEVEL = 1;
+
+const SKILL_REGISTRY = {
+  skill3: { weapon: "sword", name: "Dash Slash", maxLevel: 5,
+    targeting: "direction", hitShape: "sword", hitFx: "dashslash", fx: "dashTrail", cast: castDashSlash,
+    onHitEffect: { id: "stun", durationMs: 600 },
+    desc: "Dash forward and slash. Requires a sword.",
+    perLevel: "+15% damage, -0.3s cooldown per level",
+    scale: { damageMult: [SKILL3_DAMAGE_MULT, 0.15], cooldownMs: [SKILL3_COOLDOWN_MS, -300] } },
+  skill4: { weapon: "sword", name: "Wide Slash", maxLevel: 5, requires: { skill3: 2 },
+    targeting: "direction", hitShape: "wideSword", hitFx: "bigslash", cast: castWideSlash, taunt: true,
+    desc: "A wide sword swing that hits up to 3 nearby enemies and taunts them onto you. Requires a sword.",
+    perLevel: "+10% damage, +1 target every 2 levels, -0.5s cooldown",
+    scale: { damageMult: [1, 0.1], maxHits: [SKILL4_MAX_HITS, 0.5], cooldownMs: [SKILL4_COOLDOWN_MS, -500] } },
+  sword_mastery: { weapon: "sword", name: "Sword Mastery", passive: true, maxLevel: 3, minLevel: 5,
+    desc: "Basic sword swings hit more enemies.", perLevel: "+1 basic attack target per level",
+    scale: { basicHitCap: [1, 1] } },
+
+  skill2: { weapon: "spear", name: "Double Stab", maxLevel: 5,
+    targeting: "direction", hitShape: "spearJut", hitFx: "stab", fx: "doubleStab", cast: castDoubleStab,
+    desc: "Stab twice quickly. Requires a spear.",
+    perLevel: "+10% damage, -0.5s cooldown per level",
+    scale: { damageMult: [0.9, 0.1], cooldownMs: [SKILL2_COOLDOWN_MS, -500] } },
+  spear_mastery: { weapon: "spear", name: "Spear Mastery", passive: true, maxLevel: 3, minLevel: 5,
+    desc: "Basic spear thrusts pierce more enemies.", perLevel: "+1 basic attack target per level",
+    scale: { basicHitCap: [1, 1] } },
+
+  skill1: { weapon: "wand", name: "Anomaly", maxLevel: 5,
+    targeting: "nextShot", cooldownOnCast: false, cast: castAnomaly,
+    desc: "Shoot a bolt that creates a whirlpool on impact. Requires a wand.",
+    perLevel: "+6 whirlpool radius, -0.4s cooldown per level",
+    scale: { radius: [SKILL1_EFFECT_RADIUS_PX, 6], cooldownMs: [SKILL1_COOLDOWN_MS, -400] } },
+  skill5: { weapon: "wand", name: "Wisp", maxLevel: 5,
+    targeting: "toggle", cast: castWisp,
+    desc: "Summon a familiar that follows you. When you hit a mob with a wand bolt, the familiar attacks it (1 hit/sec). Requires a wand.",
+    perLevel: "+2 damage, hits 0.1s faster per level",
+    scale: { damage: [SKILL5_DMG, 2], hitMs: [SKILL5_HIT_MS, -100] } },
+  skill6: { weapon: "wand", name: "Nimbus", maxLevel: 5, requires: { skill5: 2 },
+    targeting: "self", cast: castNimbus, castTimeMs: SKILL6_CAST_TIME_MS,
+    desc: "Summon a cloud above you that rains gentle healing for 10 seconds. Healing draws nearby enemies' attention. Requires a wand.",
+    perLevel: "+2 healing per tick, +10 radius per level",
+    scale: { heal: [SKILL6_HEAL_PER_TICK, 2], radius: [SKILL6_HEAL_RADIUS, 10] } },
+  wand_mastery: { weapon: "wand", name: "Wand Mastery", passive: true, maxLevel: 3, minLevel: 5,
+    desc: "Wand bolts hit harder.", perLevel: "+10% bolt damage per level",
+    scale: { boltDamageMult: [1, 0.1] } },
+};
+
+// Client-facing registry fields, keyed by skill id in registry order (the Skills menu order).
+function skillCatalogPayload() {
+  const out = {};
+  for (const [id, def] of Object.entries(SKILL_REGISTRY)) {
+    const { name, weapon, targeting, maxLevel, requires, minLevel, passive, castTimeMs, desc, perLevel } = def;
+    out[id] = { name, weapon, targeting, maxLevel, requires, minLevel, passive, castTimeMs, desc, perLevel };
+  }
+  return out;
+}
+
+// (p, target, opts) -> whether target is inside the skill's hit area.
+const SKILL_HIT_SHAPES = {
+  sword: (p, t) => swordHitTest(p, t),
+  wideSword: (p, t) => swordHitTestSkill4(p, t),
+  // spear thrust along opts.dir (a slightly rotated facing), with extra reach
+  spearJut: (p, t, opts) => meleeHitTestDir(p, t, opts.dir, SKILL2_SPEAR_OFFSET, SKILL2_SPEAR_RADIUS),
+};
+
+// Returns a rejection reason, or null once the skill went off.
+function castSkill(p, ws, skillId, aim) {
+  const def = SKILL_REGISTRY[skillId];
+  if (!def || def.passive || typeof def.cast !== "function") return "Unknown skill.";
+
+  const weaponId = p.equipment?.weapon;
+  if ((weaponId ? ITEMS[weaponId]?.weaponKey : null) !== def.weapon) {
+    return `Equip a ${def.weapon} to use ${def.name}.`;
+  }
+
+  const nowMs = Date.now();
+  if (isStunned(p, nowMs)) return "You are stunned.";
+  if (nowMs < (p.skillCdUntil[skillId] || 0)) return `${def.name} is on cooldown.`;
+  if (nowMs < (p.skillActiveUntil[skillId] || 0)) return `${def.name} is already active.`;
+
+  if (def.targeting === "direction") faceSkillAim(p, aim);
+
+  const out = def.cast(p, def, nowMs, aim);
+  if (typeof out === "string") return out;
+
+  if (def.cooldownOnCast !== false) startSkillCooldown(p, skillId, nowMs);
+  send(ws, { type: "skillCast", skillId, cdUntilMs: p.skillCdUntil[skillId] || 0, ...(out || {}) });
+  return null;
+}
+
+function startSkillCooldown(p, skillId, nowMs = Date.now()) {
+  const cd = skillValue(p, skillId, "cooldownMs");
+  if (cd > 0) p.skillCdUntil[skillId] = nowMs + cd;
+}
+
+// When skillId can next be cast (cooldown or a still-running effect).
+function skillLockedUntil(p, skillId) {
+  return Math.max(p.skillCdUntil?.[skillId] || 0, p.skillActiveUntil?.[skillId] || 0);
+}
+
+// Self-only timers for the hotbar overlay: { cd: {skillId: ms}, active: {skillId: ms} }.
+function selfSkillTimers(p) {
+  const nowMs = Date.now();
+  const pick = (src) => {
+    const out = {};
+    for (const [id, until] of Object.entries(src || {})) if (until > nowMs) out[id] = until;
+    return out;
+  };
+  return { cd: pick(p?.skillCdUntil), active: pick(p?.skillActiveUntil) };
+}
+
+// Melee skills snap to cardinal directions so the hitbox matches normal melee behavior.
+// aim is {dirX, dirY} (preferred, unaffected by camera lag) or a world point {x, y}.
+function faceSkillAim(p, aim) {
+  let dx = Number(aim?.dirX);
+  let dy = Number(aim?.dirY);
+  if (!Number.isFinite(dx) || !Number.isFinite(dy) || Math.abs(dx) + Math.abs(dy) <= 1e-6) {
+    dx = Number(aim?.x) - p.x;
+    dy = Number(aim?.y) - p.y;
+  }
+  if (Number.isFinite(dx) && Number.isFinite(dy) && Math.abs(dx) + Math.abs(dy) > 1e-6) {
+    if (Math.abs(dx) > Math.abs(dy)) p.facing = { x: dx >= 0 ? 1 : -1, y: 0 };
+    else p.facing = { x: 0, y: dy >= 0 ? 1 : -1 };
+  }
+
+  // Cache a discrete attack direction for clients (used for rendering during atkAnim)
+  const fx = p.facing?.x ?? 0;
+  const fy = p.facing?.y ?? 0;
+  if (Math.abs(fx) > Math.abs(fy)) p.atkDir = (fx >= 0 ? "right" : "left");
+  else if (fy !== 0) p.atkDir = (fy >= 0 ? "down" : "up");
+}
+
+function skillDamage(p, skillId, mult = skillValue(p, skillId, "damageMult")) {
+  return Math.max(1, Math.floor(getPlayerAttack(p) * mult));
+}
+
+// One hit of def's hitShape: closest mobs first (up to maxHits), plus the duel foe.
+function skillStrike(p, def, dmg, { maxHits = Infinity, knockback = true, opts = {} } = {}) {
+  const test = SKILL_HIT_SHAPES[def.hitShape];
+  const candidates = [];
+  for (const m of mobs.values()) {
+    if (m.mapId !== p.mapId) continue;
+    if (m.respawnIn > 0) continue;
+    if (m.hp <= 0) continue;
+    if (!test(p, m, opts)) continue;
+    candidates.push({ m, d2: (m.x - p.x) ** 2 + (m.y - p.y) ** 2 });
+  }
+  candidates.sort((a, b) => a.d2 - b.d2);
+
+  for (const { m } of candidates.slice(0, maxHits)) {
+    creditMobDamage(m, p.id, dmg);
+    m.hp -= dmg;
+    if (knockback) maybeBigKnockback(m, p.x, p.y, dmg, getPlayerWeaponKnockbackMul(p));
+    if (def.taunt) tauntMob(m, p.id);
+    else setMobAggro(m, p.id);
+    if (def.onHitEffect) applyStatusEffect(m, def.onHitEffect, p.id);
+    broadcastToMap(p.mapId, {
+      type: "hit",
+      targetId: m.id,
+      targetKind: "mob",
+      srcX: p.x,
+      srcY: p.y,
+      amount: dmg,
+      fx: def.hitFx,
+    });
+    if (m.hp <= 0) killMobAndReward(m, p.id);
+  }
+
+  const foe = duelFoe(p);
+  if (foe && test(p, foe, opts)) {
+    hitDuelFoe(p, foe, dmg, p.x, p.y, def.hitFx);
+    if (def.onHitEffect) applyStatusEffect(foe, def.onHitEffect, p.id);
+  }
+}
+
+function broadcastSkillFx(p, skillId, startMs, extra = {}) {
+  const fx = SKILL_REGISTRY[skillId]?.fx;
+  if (fx) broadcastToMap(p.mapId, { type: "skillFx", skillId, fx, casterId: p.id, startMs, ...extra });
+}
+
+// Skill 1: Anomaly (wand). Primes the next wand bolt; a mob hit opens the whirlpool
+// (see tryStartSkill1Whirlpool), which is also when the cooldown starts.
+function castAnomaly(p) {
+  p.skill1Primed = true;
+}
+
+// Skill 2: Double Stab (spear). Two quick stabs that jut slightly left, then right.
+function castDoubleStab(p, def, nowMs) {
+  broadcastSkillFx(p, "skill2", nowMs);
+
+  const dmg = skillDamage(p, "skill2");
+  const applyStab = (stabIndex) => {
+    // Animate like a regular spear attack (client reads p.atkAnim)
+    p.atkAnim = SKILL2_ATK_ANIM;
+
+    const f = norm(p.facing || { x: 0, y: 1 });
+    const a = (stabIndex === 0 ? -1 : 1) * SKILL2_JUT_ANGLE;
+    const dir = { x: f.x * Math.cos(a) - f.y * Math.sin(a), y: f.x * Math.sin(a) + f.y * Math.cos(a) };
+    skillStrike(p, def, dmg, { opts: { dir } });
+  };
+
+  const mapIdAtCast = p.mapId;
+  applyStab(0);
+  setTimeout(() => {
+    // if player moved maps / disconnected, stop second stab
+    const p2 = players.get(p.id);
+    if (!p2 || p2.mapId !== mapIdAtCast) return;
+    applyStab(1);
+  }, SKILL2_GAP_MS);
+}
+
+// Skill 3: Dash Slash (sword). A short dash in the aimed direction, then a strong sword slash
+// at the end. Stops early at walls/objects.
+function castDashSlash(p, def, nowMs) {
+  const fromX = p.x;
+  const fromY = p.y;
+
+  // Dash contact damage: as you pass through/near mobs during the dash, apply a small hit once per mob.
+  // This makes the skill feel reliable even if you end up on the far side of a target.
+  const dashHitIds = new Set();
+  const dashDmg = skillDamage(p, "skill3", SKILL3_DASH_DAMAGE_MULT);
+
+  // Dash forward in small steps so we don't "phase" through walls.
+  const f = norm(p.facing || { x: 0, y: 1 });
+  const step = SKILL3_DASH_DIST_PX / SKILL3_DASH_STEPS;
+  for (let i = 0; i < SKILL3_DASH_STEPS; i++) {
+    const nx = p.x + f.x * step;
+    const ny = p.y + f.y * step;
+    if (collidesPlayer(p.mapId, nx, ny)) break;
+    p.x = nx;
+    p.y = ny;
+
+    for (const m of mobs.values()) {
+      if (m.mapId !== p.mapId) continue;
+      if (m.respawnIn > 0) continue;
+      if (m.hp <= 0) continue;
+      if (dashHitIds.has(m.id)) continue;
+
+      const mr = (m && Number.isFinite(m.radius)) ? m.radius : MOB_RADIUS;
+      if (dist(p.x, p.y, m.x, m.y) > PLAYER_FOOT_RADIUS + mr + SKILL3_DASH_CONTACT_PAD) continue;
+
+      dashHitIds.add(m.id);
+      creditMobDamage(m, p.id, dashDmg);
+      m.hp -= dashDmg;
+      maybeBigKnockback(m, p.x, p.y, dashDmg, getPlayerWeaponKnockbackMul(p));
+      setMobAggro(m, p.id);
+      broadcastToMap(p.mapId, {
+        type: "hit",
+        targetId: m.id,
+        targetKind: "mob",
+        srcX: p.x,
+        srcY: p.y,
+        amount: dashDmg,
+        fx: "dash",
+      });
+      if (m.hp <= 0) killMobAndReward(m, p.id);
+      else if (def.onHitEffect) applyStatusEffect(m, def.onHitEffect, p.id);
+    }
+
+    const foe = duelFoe(p);
+    if (foe && !dashHitIds.has(foe.id) &&
+        dist(p.x, p.y, foe.x, foe.y) <= PLAYER_FOOT_RADIUS + PLAYER_RADIUS + SKILL3_DASH_CONTACT_PAD) {
+      dashHitIds.add(foe.id);
+      hitDuelFoe(p, foe, dashDmg, p.x, p.y, "dash");
+      if (def.onHitEffect) applyStatusEffect(foe, def.onHitEffect, p.id);
+    }
+  }
+  clampToWorldPlayer(p.mapId, p);
+
+  // Animate + briefly lock out normal attacks. Dash Slash uses the normal sword visuals.
+  p.atkAnim = Math.max(p.atkAnim || 0, SKILL3_ATK_ANIM);
+  p.atkKind = null;
+  p.atkCd = Math.max(p.atkCd || 0, SKILL3_ATK_LOCK_SEC);
+
+  skillStrike(p, def, skillDamage(p, "skill3"), { knockback: false });
+
+  broadcastSkillFx(p, "skill3", nowMs, {
+    from: { x: fromX, y: fromY },
+    to: { x: p.x, y: p.y },
+    dir: { x: p.facing?.x ?? 0, y: p.facing?.y ?? 1 },
+  });
+}
+
+// Skill 4: Wide Slash (sword). A longer sword arc that hits the closest few targets.
+function castWideSlash(p, def) {
+  p.atkAnim = Math.max(p.atkAnim || 0, SKILL4_ATK_ANIM);
+  p.atkKind = "skill4";
+  skillStrike(p, def, skillDamage(p, "skill4"), { maxHits: Math.floor(skillValue(p, "skill4", "maxHits")) });
+}
+
+// Skill 5: Wisp (wand). Toggles a familiar that auto-attacks the mob you last hit with a
+// normal wand bolt. Leaving the map clears its target.
+function castWisp(p) {
+  p.familiarActive = !p.familiarActive;
+  if (!p.familiarActive) {
+    p.familiarTargetMobId = null;
+    p.familiarNextAtkMs = 0;
+    p._familiarLastTargetMobId = null;
+  }
+  return { active: p.familiarActive };
+}
+
+// Skill 6: Nimbus (wand). A stationary healing cloud at the caster's feet.
+function castNimbus(p, def, nowMs) {
+  p.skillActiveUntil.skill6 = nowMs + SKILL6_DURATION_MS;
+  p.skill6NextHealMs = nowMs + SKILL6_TICK_MS;
+  p.skill6CloudX = p.x;
+  p.skill6CloudY = p.y;
+}
+
+function sanitizeSkillRanks(raw) {
+  const out = {};
+  if (!raw || typeof raw !== "object") return out;
+  for (const [id, def] of Object.entries(SKILL_REGISTRY)) {
+    const maxRank = def.maxLevel - (def.passive ? 0 : 1);
+    const v = Math.min(maxRank, Math.floor(Number(raw[id])));
+    if (Number.isFinite(v) && v > 0) out[id] = v;
+  }
+  return out;
+}
+
+function skillRank(p, skillId) {
+  const v = p?.skillRanks?.[skillId];
+  return Number.isFinite(v) && v > 0 ? v : 0;
+}
+
+// Displayed level: actives are level 1 with no points spent, passives level 0.
+function skillLevel(p, skillId) {
+  const def = SKILL_REGISTRY[skillId];
+  return def ? (def.passive ? 0 : 1) + skillRank(p, skillId) : 0;
+}
+
+function skillValue(p, skillId, key) {
+  const sc = SKILL_REGISTRY[skillId]?.scale?.[key];
+  return sc ? sc[0] + sc[1] * skillRank(p, skillId) : 0;
+}
+
+function skillPointsFree(p) {
+  const earned = Math.max(0, ((p.level ?? 1) - 1) * SKILL_POINTS_PER_LEVEL);
+  let spent = 0;
+  for (const id in SKILL_REGISTRY) spent += skillRank(p, id);
+  return Math.max(0, earned - spent);
+}
+
+// Reason string if p can't buy the next rank of skillId, else null.
+function skillLearnBlocker(p, skillId) {
+  const def = SKILL_REGISTRY[skillId];
+  if (!def) return "Unknown skill.";
+  if (skillLevel(p, skillId) >= def.maxLevel) return `${def.name} is already at max level.`;
+  if (skillPointsFree(p) <= 0) return "No skill points left.";
+  if ((p.level ?? 1) < (def.minLevel ?? 1)) return `${def.name} needs character level ${def.minLevel}.`;
+  for (const [req, lv] of Object.entries(def.requires || {})) {
+    if (skillLevel(p, req) < lv) return `${def.name} needs ${SKILL_REGISTRY[req]?.name || req} level ${lv}.`;
+  }
+  return null;
+}
+
+/* ======================
+   SNAPSHOTS
+   Static map data (layers, portals, authored spawns) only goes out in "welcome", "mapChange"
+   and "mapData" (on request); edits stream as "mapPatch". Entity state is delta-encoded
+   per client: each bucket carries {added, changed, removed} relative to the last snapshot the
+   client acknowledged with {type:"snapshotAck", seq}. baseSeq 0 means "diff against nothing".
+====================== */
+const SNAPSHOT_HISTORY = 32; // sent snapshots kept per client as possible delta bases
+const SNAPSHOT_BUCKETS = ["players", "npcs", "mobs", "drops", "projectiles"];
+const snapshotStates = new WeakMap(); // ws -> { seq, ackSeq, mapId, history: Map(seq -> bucket keys) }
+
+function staticMapPayload(mapId) {
+  const m = maps[mapId];
+  return {
+    mapId,
+    map: m.map,
+    objMap: m.obj,
+    // Height/transition layers (painted in editor). Defaults to 0/empty.
+    zMap: m.z,
+    zGateMap: m.zGate,
+    portals: m.portals || [],
+    // Authored mob spawn points (not live mobs). Used by the in-game editor export so
+    // existing spawns don't disappear when you export without editing mobs.
+    mobSpawns: m.mobSpawns || [],
+    bossRooms: m.bossRooms || [],
+    tileSize: TILE,
+    mapW: m.w,
+    mapH: m.h,
+    portalTile: PORTAL_TILE,
+  };
+}
+
+// Everything a client needs to swap maps in one message: static layers, the map's NPCs and where
+// the player now stands. Snapshot deltas restart from a full snapshot on the new map.
+function sendMapChange(ws, p) {
+  const npcsOnMap = {};
+  for (const [id, n] of npcs) {
+    if (n.mapId === p.mapId) npcsOnMap[id] = { x: n.x, y: n.y, name: n.name, sprite: n.sprite, statue: n.saveStatue };
+  }
+  send(ws, { type: "mapChange", ...staticMapPayload(p.mapId), npcs: npcsOnMap, x: p.x, y: p.y });
+
+  const st = getSnapshotState(ws);
+  st.mapId = p.mapId;
+  st.ackSeq = 0;
+  st.history.clear();
+}
+
+function getSnapshotState(ws) {
+  let st = snapshotStates.get(ws);
+  if (!st) {
+    st = { seq: 0, ackSeq: 0, mapId: null, history: new Map() };
+    snapshotStates.set(ws, st);
+  }
+  return st;
+}
+
+function ackSnapshot(ws, seq) {
+  const st = getSnapshotState(ws);
+  const n = Number(seq);
+  if (!Number.isInteger(n) || n <= 0) { st.ackSeq = 0; return; }
+  if (n <= st.ackSeq || !st.history.has(n)) return; // stale or unknown ack
+  st.ackSeq = n;
+  for (const k of st.history.keys()) if (k < n) st.history.delete(k);
+}
+
+// Comparable form of a snapshot value: primitives as-is, objects serialized once. History keeps
+// only these keys, so live objects can keep mutating without a deep copy per client per tick.
+function snapshotValueKey(v) {
+  return (v && typeof v === "object") ? JSON.stringify(v) : v;
+}
+
+// {id: fields} -> {id: {field: key}}
+function snapshotBucketKeys(bucket) {
+  const keys = {};
+  for (const id in bucket) {
+    const k = {};
+    for (const f in bucket[id]) k[f] = snapshotValueKey(bucket[id][f]);
+    keys[id] = k;
+  }
+  return keys;
+}
+
+// {id: fields} vs the acked base keys -> {added, changed (only differing fields), removed}; null if identical.
+function diffSnapshotBucket(base, cur, curKeys) {
+  let added = null, changed = null, removed = null;
+  for (const id in cur) {
+    const prev = base?.[id];
+    if (!prev) { (added ??= {})[id] = cur[id]; continue; }
+    let fields = null;
+    for (const k in cur[id]) {
+      if (prev[k] !== curKeys[id][k]) (fields ??= {})[k] = cur[id][k];
+    }
+    if (fields) (changed ??= {})[id] = fields;
+  }
+  if (base) for (const id in base) if (!(id in cur)) (removed ??= []).push(id);
+  if (!added && !changed && !removed) return null;
+  return { ...(added ? { added } : {}), ...(changed ? { changed } : {}), ...(removed ? { removed } : {}) };
+}
+
 setInterval(() => {
   for (const ws of wss.clients) {
     if (ws.readyState !== 1) continue;
@@ -4264,7 +7284,9 @@ setInterval(() => {
     if (!me) continue;
 
     const mapId = me.mapId;
-    const m = maps[mapId];
+    const snap = getSnapshotState(ws);
+    // Map changes outside the portal handler (loading a save, respawning) are caught here.
+    if (snap.mapId !== mapId) sendMapChange(ws, me);
 
     const ps = {};
     for (const [id, p] of players) {
@@ -4281,6 +7303,14 @@ setInterval(() => {
         speedBonus: Number.isFinite(p.speedBonus) ? p.speedBonus : 0,
         baseAtk: Number.isFinite(p.atk) ? p.atk : 0,
         weaponBonus: Number.isFinite(p.weaponBonus) ? p.weaponBonus : 0,
+        atkBonus: Number.isFinite(p.atkBonus) ? p.atkBonus : 0,
+        defense: getPlayerDefense(p),
+        baseMaxHp: Number.isFinite(p.baseMaxHp) ? p.baseMaxHp : p.maxHp,
+        maxHpBonus: Number.isFinite(p.maxHpBonus) ? p.maxHpBonus : 0,
+        stats: sanitizeStats(p.stats),
+        statPoints: statPointsFree(p),
+        skillRanks: sanitizeSkillRanks(p.skillRanks),
+        skillPoints: skillPointsFree(p),
         atkAnim: p.atkAnim,
         atkDir: p.atkDir,
         atkKind: p.atkKind || null,
@@ -4291,9 +7321,10 @@ setInterval(() => {
         equipment: p.equipment,
         familiarActive: !!p.familiarActive,
         familiarTargetId: p.familiarTargetMobId || null,
-        healingCloudUntilMs: p.skill6CloudUntilMs || 0,
+        healingCloudUntilMs: p.skillActiveUntil?.skill6 || 0,
         healingCloudX: p.skill6CloudX ?? null,
         healingCloudY: p.skill6CloudY ?? null,
+        effects: statusEffectsSnapshot(p),
         ...(id === pid ? { inventory: p.inventory } : {})
       };
     }
@@ -4301,7 +7332,7 @@ setInterval(() => {
     const ns = {};
     for (const [id, n] of npcs) {
       if (n.mapId !== mapId) continue;
-      ns[id] = { x: n.x, y: n.y, name: n.name, sprite: n.sprite };
+      ns[id] = { x: n.x, y: n.y, name: n.name, sprite: n.sprite, statue: n.saveStatue };
     }
 
     const ms = {};
@@ -4323,14 +7354,18 @@ setInterval(() => {
         // (e.g., kiting a mob outside the normal HP-bar distance).
         aggroUntil: mob.aggroUntil ?? 0,
         dead: isCorpse ? true : false,
-        corpseMs: isCorpse ? (mob.corpseUntilMs - nowMs) : 0
+        corpseMs: isCorpse ? (mob.corpseUntilMs - nowMs) : 0,
+        effects: statusEffectsSnapshot(mob, nowMs),
+        telegraph: mobTelegraphSnapshot(mob),
+        ...(mob.boss ? { boss: true, scale: mob.boss.def.scale ?? 1 } : {}),
       };
     }
 
     const ds = {};
     for (const [id, d] of drops) {
       if (d.mapId !== mapId) continue;
-      ds[id] = { x: d.x, y: d.y, amount: d.amount, itemId: d.itemId, qty: d.qty };
+      // locked: reserved for someone else right now (client dims it).
+      ds[id] = { x: d.x, y: d.y, amount: d.amount, itemId: d.itemId, qty: d.qty, locked: !canPickupDrop(me, d, nowMs) };
     }
 
     const prs = {};
@@ -4339,47 +7374,54 @@ setInterval(() => {
       prs[id] = { x: pr.x, y: pr.y, ownerId: pr.ownerId, rad: pr.rad, sprite: pr.sprite || null };
     }
 
+    const cur = { players: ps, npcs: ns, mobs: ms, drops: ds, projectiles: prs, monsterBook: me.monsterBook || {}, party: partyView(me) };
+    const curKeys = { monsterBook: snapshotValueKey(cur.monsterBook), party: snapshotValueKey(cur.party) };
+    for (const bucket of SNAPSHOT_BUCKETS) curKeys[bucket] = snapshotBucketKeys(cur[bucket]);
+    const base = snap.ackSeq ? snap.history.get(snap.ackSeq) : null;
+    const seq = ++snap.seq;
+    snap.history.set(seq, curKeys);
+    if (snap.history.size > SNAPSHOT_HISTORY) {
+      // Client stopped acking; drop the oldest and fall back to full snapshots if its base went with it.
+      snap.history.delete(snap.history.keys().next().value);
+      if (!snap.history.has(snap.ackSeq)) snap.ackSeq = 0;
+    }
+
+    const deltas = {};
+    for (const bucket of SNAPSHOT_BUCKETS) {
+      const d = diffSnapshotBucket(base?.[bucket], cur[bucket], curKeys[bucket]);
+      if (d) deltas[bucket] = d;
+    }
+
     send(ws, {
       type: "snapshot",
+      seq,
+      baseSeq: base ? snap.ackSeq : 0,
       nowMs: Date.now(),
       mapId,
-      map: m.map,
-      objMap: m.obj,
-      // Height/transition layers (painted in editor). Defaults to 0/empty.
-      zMap: m.z,
-      zGateMap: m.zGate,
-      portals: m.portals || [],
-      // Authored mob spawn points (not live mobs). See welcome comment.
-      mobSpawns: m.mobSpawns || [],
-      mapW: m.w,
-      mapH: m.h,
-      tileSize: TILE,
-      portalTile: PORTAL_TILE,
 
 // active skill instances (map-scoped)
 whirlpools: Array.from(whirlpools.values())
   .filter(w => w.mapId === mapId)
   .map(w => ({ id: w.id, x: w.x, y: w.y, rad: w.rad, casterId: w.casterId, startMs: w.startMs, endMs: w.endMs })),
 // self skill timers (client UI convenience)
-selfSkill1ActiveUntilMs: (players.get(socketToId.get(ws))?.skill1ActiveUntilMs) || 0,
-selfSkill1CdUntilMs: (players.get(socketToId.get(ws))?.skill1CdUntilMs) || 0,
-selfSkill2CdUntilMs: (players.get(socketToId.get(ws))?.skill2CdUntilMs) || 0,
-selfSkill3CdUntilMs: (players.get(socketToId.get(ws))?.skill3CdUntilMs) || 0,
-selfSkill4CdUntilMs: (players.get(socketToId.get(ws))?.skill4CdUntilMs) || 0,
-selfMonsterBook: (players.get(socketToId.get(ws))?.monsterBook) || {},
-      players: ps,
-      npcs: ns,
-      mobs: ms,
-      drops: ds,
-      projectiles: prs
+selfSkills: selfSkillTimers(players.get(socketToId.get(ws))),
+// boss HP bar (null unless standing in a boss room)
+boss: bossBarFor(players.get(socketToId.get(ws))),
+...(base && base.monsterBook === curKeys.monsterBook ? {} : { selfMonsterBook: cur.monsterBook }),
+...(base && base.party === curKeys.party ? {} : { selfParty: cur.party }),
+      ...deltas
     });
   }
 }, 1000 / SNAPSHOT_HZ);
 
+// Drop expired login sessions once a minute.
+setInterval(() => pruneExpiredSessions(), 60 * 1000);
+
 const PORT = process.env.PORT || 3000;
 
 try {
   await ensurePostgresSchema();
+  await linkLegacyCharacters();
 } catch (err) {
   console.error("❌ Postgres schema ensure failed:", err?.message || err);
   // process.exit(1); // optional hard fail